@@ -1,60 +1,46 @@
 const { addonBuilder } = require("stremio-addon-sdk");
 const SubsRoClient = require("./lib/subsro");
-const { matchesEpisode, calculateMatchScore } = require("./lib/matcher");
-const { listSrtFiles, getArchiveType } = require("./lib/archiveUtils");
-const { getLimiter } = require("./lib/rateLimiter");
+const { QUOTA_MODE } = SubsRoClient;
+const {
+  matchesItemEpisode,
+  filterMovieEntries,
+  calculateMatchScore,
+  getFrameRate,
+  detectFpsMismatch,
+  isSingleEpisodeTitle,
+} = require("./lib/matcher");
+const { AUTO_SRT_PATH, extractSrtFile } = require("./lib/archiveUtils");
+const { detectTraits, TRAIT_PREFERENCE } = require("./lib/traits");
+const {
+  getPopularityScore,
+  getTranslatorDownloads,
+} = require("./lib/popularity");
+const { getSubtitleKey, getVideoFeedback } = require("./lib/feedback");
 const manifest = require("./manifest");
 
 const builder = new addonBuilder(manifest);
 
 // --- CACHE SYSTEM ---
-// --- CACHE SYSTEM ---
-const { ARCHIVE_CACHE, ARCHIVE_CACHE_TTL } = require("./lib/archiveCache");
-
-// Simple LRU implementation to prevent memory leaks
-class SimpleLRU {
-  constructor(maxSize, ttl = 0) {
-    this.maxSize = maxSize;
-    this.ttl = ttl;
-    this.cache = new Map();
-  }
-
-  get(key) {
-    const item = this.cache.get(key);
-    if (!item) return null;
+const { Cache } = require("./lib/cache");
+const { ARCHIVE_CACHE, fetchArchive } = require("./lib/archiveCache");
+const { PRIORITY } = require("./lib/rateLimiter");
 
-    if (this.ttl > 0 && Date.now() - item.timestamp > this.ttl) {
-      this.cache.delete(key);
-      return null;
-    }
-
-    // Refresh LRU order
-    this.cache.delete(key);
-    this.cache.set(key, item);
-    return item.value;
-  }
-
-  set(key, value) {
-    if (this.cache.has(key)) {
-      this.cache.delete(key);
-    } else if (this.cache.size >= this.maxSize) {
-      // Evict oldest (first item in Map iteration order)
-      const oldestKey = this.cache.keys().next().value;
-      this.cache.delete(oldestKey);
-    }
-    this.cache.set(key, { value, timestamp: Date.now() });
-  }
-
-  has(key) {
-    return this.cache.has(key);
-  }
-}
-
-const CACHE = new SimpleLRU(1000); // Max 1000 subtitle responses
+// Unranked candidate sets (TTL set per entry)
+const CACHE = new Cache({ name: "candidates", maxBytes: 16 * 1024 * 1024 });
 const PENDING_REQUESTS = new Map(); // Pending requests are transient, no LRU needed
-const CLIENT_CACHE = new SimpleLRU(500); // Max 500 active API clients
+// API clients hold no large state; a flat size caps them at ~500
+const CLIENT_CACHE = new Cache({
+  name: "clients",
+  maxBytes: 500 * 1024,
+  sizeOf: () => 1024,
+});
 const CACHE_TTL = 15 * 60 * 1000;
 const EMPTY_CACHE_TTL = 60 * 1000;
+const PARTIAL_CACHE_TTL = 30 * 1000; // Until the background downloads finish
+
+// Time budget for listing archives before answering Stremio with what we have
+const RESPONSE_DEADLINE_MS =
+  parseInt(process.env.RESPONSE_DEADLINE_MS, 10) || 8000;
 
 const getClient = (apiKey) => {
   let client = CLIENT_CACHE.get(apiKey);
@@ -88,54 +74,386 @@ function parseStremioId(id) {
 }
 
 /**
- * Download archive via rate limiter and list SRT files.
- * Uses caching to avoid redundant downloads.
+ * Build the proxy URL for a subtitle file.
+ * Params with null/undefined values are left out of the query string.
  */
-async function getArchiveSrtList(apiKey, subId) {
-  const cacheKey = `archive_${subId}`;
-  const cached = ARCHIVE_CACHE.get(cacheKey);
-  if (cached) {
-    return cached.srtFiles;
+function buildProxyUrl(baseUrl, apiKey, subId, encodedSrtPath, params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined) query.set(key, String(value));
   }
+  const qs = query.toString();
+  return `${baseUrl}/${apiKey}/proxy/${subId}/${encodedSrtPath}/sub.vtt${
+    qs ? `?${qs}` : ""
+  }`;
+}
 
-  try {
-    const downloadUrl = `https://subs.ro/api/v1.0/subtitle/${subId}/download`;
+// Ranking points for subtitles voted in/out of sync for the video (see the
+// proxy's feedback route), scaled by the net votes up to FEEDBACK_FULL_VOTES:
+// at full weight enough to beat any filename match
+const FEEDBACK_WEIGHTS = { confirmed: 50, rejected: -50 };
+const FEEDBACK_FULL_VOTES = 3;
 
-    // Use per-user rate limiter for safe, queued downloads
-    const limiter = getLimiter(apiKey);
-    const buffer = await limiter.downloadArchive(downloadUrl, {
-      headers: { "X-Subs-Api-Key": apiKey },
+// Ranking points for a kind the user prefers or demotes (config.traits)
+const TRAIT_WEIGHTS = {
+  [TRAIT_PREFERENCE.PREFER]: 20,
+  [TRAIT_PREFERENCE.DEMOTE]: -40,
+};
+
+/**
+ * Download archive via rate limiter (buffer and SRT file list).
+ * Cached, and concurrent calls share a single download.
+ * @returns {Promise<{ buffer: Buffer, srtFiles: string[] }|null>}
+ */
+async function getArchive(apiKey, subId, { signal, backgroundSignal } = {}) {
+  try {
+    return await fetchArchive(apiKey, subId, {
+      priority: PRIORITY.LISTING,
+      signal,
+      backgroundSignal,
     });
+  } catch (error) {
+    if (error.code === "ERR_CANCELED") return null;
+    console.error(`[SUBS] Error downloading archive ${subId}:`, error.message);
+    return null;
+  }
+}
 
-    const srtFiles = await listSrtFiles(buffer);
-    const archiveType = getArchiveType(buffer);
+/**
+ * HI/SDH and forced traits of an archive entry (name and content)
+ */
+async function getEntryTraits(buffer, srtPath) {
+  let content = null;
+  try {
+    content = await extractSrtFile(buffer, srtPath);
+  } catch (error) {
+    // Judged by the name alone
+  }
+  return detectTraits(srtPath, content);
+}
 
-    ARCHIVE_CACHE.set(cacheKey, {
-      buffer,
-      srtFiles,
-      archiveType,
-      timestamp: Date.now(),
-    });
+/**
+ * Lazy listing: can this item be listed from search metadata alone?
+ * Movies can, and so can series uploads whose title names the requested
+ * episode (single-file archives). Cached archives are always expanded,
+ * that costs no quota.
+ */
+function canListLazily(config, sub, isSeries, season, episode) {
+  if (!config.lazyListing) return false;
+  if (ARCHIVE_CACHE.has(`archive_${sub.id}`)) return false;
+  return !isSeries || isSingleEpisodeTitle(sub.title, season, episode);
+}
+
+/**
+ * List the candidates of one subs.ro item (downloads the archive unless it
+ * can be listed lazily)
+ * @param {Object} [options]
+ * @param {boolean} [options.cacheOnly] - Never download (returns null instead)
+ * @param {AbortSignal} [options.signal] - Cancels a queued download
+ * @param {AbortSignal} [options.backgroundSignal] - Demotes it to PREFETCH
+ * @returns {Promise<Array<{subId, language, srtPath, isRetail, traits, item}>|null>}
+ */
+async function listItemCandidates(
+  config,
+  sub,
+  isSeries,
+  season,
+  episode,
+  { cacheOnly = false, signal, backgroundSignal } = {},
+) {
+  // RETAIL: used as a ranking tie-breaker
+  const isRetail =
+    (sub.translator && sub.translator.toLowerCase().includes("retail")) ||
+    (sub.title && sub.title.toLowerCase().includes("retail"));
+  const toCandidate = (srtPath, traits) => ({
+    subId: sub.id,
+    language: sub.language,
+    srtPath,
+    isRetail,
+    traits, // HI/SDH, forced
+    item: sub, // subs.ro search metadata
+  });
+
+  if (canListLazily(config, sub, isSeries, season, episode)) {
+    return [toCandidate(null, detectTraits(sub.title, null))];
+  }
 
-    const status = limiter.getQueueStatus();
-    const ts = new Date().toISOString().slice(11, 23);
+  if (cacheOnly && !ARCHIVE_CACHE.has(`archive_${sub.id}`)) return null;
+
+  const archive = await getArchive(config.apiKey, sub.id, {
+    signal,
+    backgroundSignal,
+  });
+  if (!archive) return [];
+  const { buffer, srtFiles } = archive;
+
+  // Series: keep the requested episode; movies: drop the other titles of
+  // collection packs (both use the item's metadata along with the path)
+  const files = isSeries
+    ? srtFiles.filter((srtPath) =>
+        matchesItemEpisode(srtPath, sub, season, episode),
+      )
+    : filterMovieEntries(srtFiles, sub);
+
+  const candidates = [];
+  for (const srtPath of files) {
+    candidates.push(
+      toCandidate(srtPath, await getEntryTraits(buffer, srtPath)),
+    );
+  }
+  return candidates;
+}
 
-    // Only log in development to prevent disk fill
-    if (process.env.NODE_ENV === "development") {
-      console.log(
-        `[${ts}] [SUBS] Archive ${subId}: ${
-          srtFiles.length
-        } SRTs (${archiveType.toUpperCase()}) [Active: ${
-          status.activeDownloads
-        }, Pending: ${status.download}]`,
+/**
+ * Search subs.ro and list the subtitle files of every matching archive.
+ * The result is independent of the requesting user (no API key, no video
+ * filename), so it can be cached and shared.
+ * Lazily listed items have srtPath null (the proxy picks the file).
+ *
+ * Archives are listed concurrently (the rate limiter paces the downloads).
+ * Whatever is listed by RESPONSE_DEADLINE_MS (counted from before the
+ * search) is returned; the rest keeps downloading in the background at
+ * PREFETCH priority and `completion` resolves with the full set.
+ * @param {Object} [options]
+ * @param {boolean} [options.cacheOnly] - Only list archives already cached
+ * @param {boolean} [options.background] - Keep downloading after the
+ *   deadline (otherwise queued downloads are cancelled, completion is null)
+ * @returns {Promise<{ candidates: Array<{subId, language, srtPath, isRetail, traits, item}>,
+ *   complete: boolean, completion: Promise<Array>|null }>}
+ */
+async function gatherCandidates(
+  config,
+  imdbId,
+  isSeries,
+  season,
+  episode,
+  { cacheOnly = false, background = true } = {},
+) {
+  // The deadline covers the search too (it may wait out a 429 pause)
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(resolve, RESPONSE_DEADLINE_MS);
+  });
+
+  // Per item, in search order (null until listed)
+  let listed = [];
+  const collect = () => listed.filter(Boolean).flat();
+  const controller = new AbortController(); // Cancels queued downloads
+  const deferred = new AbortController(); // Demotes them to PREFETCH
+  let skipped = 0; // Items left out by cacheOnly
+
+  const subsRo = getClient(config.apiKey);
+  const completion = subsRo.searchByImdb(imdbId).then((results) => {
+    // Filter by language
+    let filteredResults = results;
+    if (config.languages && config.languages.length > 0) {
+      filteredResults = results.filter((sub) =>
+        config.languages.includes(sub.language),
       );
     }
 
-    return srtFiles;
-  } catch (error) {
-    console.error(`[SUBS] Error downloading archive ${subId}:`, error.message);
-    return [];
+    listed = filteredResults.map(() => null);
+    return Promise.all(
+      filteredResults.map(async (sub, idx) => {
+        listed[idx] = await listItemCandidates(
+          config,
+          sub,
+          isSeries,
+          season,
+          episode,
+          {
+            cacheOnly,
+            signal: controller.signal,
+            backgroundSignal: deferred.signal,
+          },
+        );
+        if (listed[idx] === null) skipped++;
+      }),
+    ).then(collect);
+  });
+
+  const complete = await Promise.race([
+    completion.then(() => true),
+    deadline.then(() => false),
+  ]);
+  clearTimeout(timer);
+
+  // Past the deadline the rest only warms the cache: it must not hold up
+  // the next request's listing
+  if (!complete) {
+    if (background) deferred.abort();
+    else controller.abort();
+  }
+
+  return {
+    candidates: collect(),
+    complete: complete && skipped === 0,
+    completion: background && !cacheOnly ? completion : null,
+  };
+}
+
+/**
+ * Score and sort candidates for one request's video file and build the
+ * user's proxy URLs. Cheap enough to run on every request.
+ * HI/SDH and forced files are promoted, demoted or hidden as set in
+ * config.traits ({ hi, forced }: TRAIT_PREFERENCE values, unset = neutral).
+ * Subtitles voted in sync for this video (videoHash or filename) are boosted,
+ * those voted out of sync demoted. Equal match scores are ordered by the
+ * upload's popularity (downloads, rating, recency, translator; see
+ * lib/popularity.js), the translator's from this search's uploads.
+ * @returns {Array<{id, url, lang}>}
+ */
+function rankCandidates(
+  candidates,
+  {
+    config,
+    videoFilename,
+    videoHash = null,
+    baseUrl,
+    season = null,
+    episode = null,
+  },
+) {
+  // Needed to time frame-based (MicroDVD) subtitles
+  const videoFps = getFrameRate(videoFilename);
+  const allSubtitles = [];
+  const traitPreferences = config.traits || {};
+  const feedback = getVideoFeedback({ videoHash, filename: videoFilename });
+  const getFeedbackScore = (subId, encodedSrtPath, timing) => {
+    const net =
+      feedback.get(getSubtitleKey(subId, encodedSrtPath, timing)) || 0;
+    const share = Math.min(1, Math.abs(net) / FEEDBACK_FULL_VOTES);
+    if (net > 0) return Math.round(FEEDBACK_WEIGHTS.confirmed * share);
+    return net < 0 ? Math.round(FEEDBACK_WEIGHTS.rejected * share) : 0;
+  };
+
+  const translatorDownloads = getTranslatorDownloads(
+    candidates.map((candidate) => candidate.item),
+  );
+
+  for (const candidate of candidates) {
+    const { subId, language, srtPath, isRetail, item } = candidate;
+    // Candidates cached before trait detection carry none
+    const preferences = (candidate.traits || []).map(
+      (trait) => traitPreferences[trait],
+    );
+    if (preferences.includes(TRAIT_PREFERENCE.HIDE)) continue;
+    const traitScore = preferences.reduce(
+      (sum, preference) => sum + (TRAIT_WEIGHTS[preference] || 0),
+      0,
+    );
+
+    const popularity = getPopularityScore(item, translatorDownloads);
+    const lang = LANGUAGE_MAPPING[language] || language;
+    // Diacritics/mojibake repair (Romanian only, on unless disabled)
+    const normalize =
+      language === "ro" && config.normalizeDiacritics !== false ? 1 : null;
+
+    // LAZY ENTRY: scored by the upload title, the proxy picks the file
+    // inside the archive for this video (filename/season/episode)
+    if (!srtPath) {
+      allSubtitles.push({
+        id: `subsro_${subId}_${AUTO_SRT_PATH}`,
+        url: buildProxyUrl(baseUrl, config.apiKey, subId, AUTO_SRT_PATH, {
+          filename: videoFilename || null,
+          season,
+          episode,
+          // Item metadata the proxy matches the archive's files against
+          title: item.title || null,
+          itemSeason: item.season ?? null,
+          itemYear: item.year ?? null,
+          normalize,
+        }),
+        lang,
+        srtPath: `${item.title} [${AUTO_SRT_PATH}]`,
+        matchScore:
+          calculateMatchScore(videoFilename, item.title) +
+          (isRetail ? 5 : 0) +
+          traitScore +
+          getFeedbackScore(subId, AUTO_SRT_PATH),
+        popularity,
+        isRetail,
+      });
+      continue;
+    }
+
+    const encodedSrtPath = Buffer.from(srtPath).toString("base64url");
+
+    // Calculate weighted match score (release tags, see calculateMatchScore)
+    let matchScore = calculateMatchScore(videoFilename, srtPath);
+
+    // RETAIL BONUS (KISS Approach): +5 points
+    // Acts as tie-breaker for identical matches, but won't override Group/Source matches
+    if (isRetail) {
+      matchScore += 5;
+    }
+    matchScore += traitScore;
+
+    // Frame-based files are timed from the video frame rate instead
+    const isFrameBased = srtPath.toLowerCase().endsWith(".sub");
+
+    allSubtitles.push({
+      id: `subsro_${subId}_${encodedSrtPath.slice(0, 8)}`,
+      url: buildProxyUrl(baseUrl, config.apiKey, subId, encodedSrtPath, {
+        fps: isFrameBased ? videoFps : null,
+        normalize,
+      }),
+      lang,
+      srtPath,
+      matchScore: matchScore + getFeedbackScore(subId, encodedSrtPath),
+      popularity,
+      isRetail, // Passed for debugging/logging
+    });
+
+    // FPS MISMATCH: e.g. PAL DVD subs (25fps) on a WEB release (23.976)
+    // Offer a rescaled copy right after the original (sort is stable)
+    const fpsMismatch = isFrameBased
+      ? null
+      : detectFpsMismatch(videoFilename, srtPath);
+    if (fpsMismatch) {
+      allSubtitles.push({
+        id: `subsro_${subId}_${encodedSrtPath.slice(0, 8)}_fps`,
+        url: buildProxyUrl(baseUrl, config.apiKey, subId, encodedSrtPath, {
+          ...fpsMismatch,
+          normalize,
+        }),
+        lang,
+        srtPath: `${srtPath} [${fpsMismatch.sourceFps}→${fpsMismatch.targetFps}fps]`,
+        // Voted on apart from the original (see getSubtitleKey)
+        matchScore:
+          matchScore + getFeedbackScore(subId, encodedSrtPath, fpsMismatch),
+        popularity,
+        isRetail,
+      });
+    }
+  }
+
+  // Sort by weighted match score (highest first), popularity breaks ties
+  allSubtitles.sort(
+    (a, b) => b.matchScore - a.matchScore || b.popularity - a.popularity,
+  );
+
+  // Log top matches for debugging (Dev only)
+  if (
+    process.env.NODE_ENV === "development" &&
+    allSubtitles.length > 0 &&
+    videoFilename
+  ) {
+    const top = allSubtitles.slice(0, 5); // Show top 5
+    console.log(`[SUBS] Matching results for "${videoFilename}":`);
+    top.forEach((s, i) => {
+      console.log(
+        `  ${i + 1}. [Score: ${s.matchScore}, popularity: ${s.popularity}] ${s.srtPath}`,
+      );
+    });
   }
+
+  // Remove internal properties before returning
+  return allSubtitles.map(({ id, url, lang }) => ({
+    id,
+    url,
+    lang,
+  }));
 }
 
 const subtitlesHandler = async ({ type, id, extra, config }) => {
@@ -146,133 +464,99 @@ const subtitlesHandler = async ({ type, id, extra, config }) => {
   const { imdbId, season, episode } = parseStremioId(id);
   const isSeries = type === "series" && episode !== null;
   const videoFilename = extra?.filename || "";
-
-  const cacheKey = isSeries
-    ? `${imdbId}_s${season}e${episode}_${config.languages || "all"}`
-    : `${imdbId}_${config.languages || "all"}`;
+  const videoHash = extra?.videoHash || null;
+
+  // BeamUp URL detection - hardcoded for production, dynamic for local dev
+  const BEAMUP_URL = "https://cdcd7719a6b3-stremio-subs-ro.baby-beamup.club";
+  const baseUrl = process.env.NODE_ENV
+    ? BEAMUP_URL
+    : config.baseUrl || "http://localhost:7000";
+
+  // QUOTA: degrade on our own when the key's quota runs low
+  // (low: lazy listing, no background downloads; critical: cache only)
+  const quotaMode = getClient(config.apiKey).getQuotaMode();
+  const lazyListing = config.lazyListing || quotaMode !== QUOTA_MODE.NORMAL;
+
+  // The cache holds the unranked candidate set; ranking for this request's
+  // filename (and URLs with this user's key) happen after the lookup
+  // (lazy listing yields a different candidate set, so it's keyed apart)
+  const cacheKey = [
+    isSeries ? `${imdbId}_s${season}e${episode}` : imdbId,
+    config.languages || "all",
+    lazyListing ? "lazy" : "",
+  ]
+    .filter(Boolean)
+    .join("_");
+  const rank = (candidates) => ({
+    subtitles: rankCandidates(candidates, {
+      config,
+      videoFilename,
+      videoHash,
+      baseUrl,
+      season: isSeries ? season : null,
+      episode: isSeries ? episode : null,
+    }),
+  });
 
   // 1. Check Cache
-  const cachedData = CACHE.get(cacheKey);
-  if (cachedData && Date.now() - cachedData.timestamp < cachedData.ttl) {
-    return { subtitles: cachedData.data };
+  const cachedCandidates = CACHE.get(cacheKey);
+  if (cachedCandidates) {
+    return rank(cachedCandidates);
   }
 
   // 2. Debounce Pending Requests
   if (PENDING_REQUESTS.has(cacheKey)) {
-    return PENDING_REQUESTS.get(cacheKey);
+    return rank(await PENDING_REQUESTS.get(cacheKey));
   }
 
   const fetchTask = (async () => {
     try {
-      const subsRo = getClient(config.apiKey);
-      const results = await subsRo.searchByImdb(imdbId);
-
-      // Filter by language
-      let filteredResults = results;
-      if (config.languages && config.languages.length > 0) {
-        filteredResults = results.filter((sub) =>
-          config.languages.includes(sub.language),
+      const { candidates, complete, completion } = await gatherCandidates(
+        { ...config, lazyListing },
+        imdbId,
+        isSeries,
+        season,
+        episode,
+        {
+          cacheOnly: quotaMode === QUOTA_MODE.CRITICAL,
+          background: quotaMode === QUOTA_MODE.NORMAL,
+        },
+      );
+      const storeFull = (full) =>
+        CACHE.set(
+          cacheKey,
+          full,
+          full.length > 0 ? CACHE_TTL : EMPTY_CACHE_TTL,
         );
-      }
-
-      // BeamUp URL detection - hardcoded for production, dynamic for local dev
-      const BEAMUP_URL =
-        "https://cdcd7719a6b3-stremio-subs-ro.baby-beamup.club";
-      const baseUrl = process.env.NODE_ENV
-        ? BEAMUP_URL
-        : config.baseUrl || "http://localhost:7000";
-
-      const allSubtitles = [];
-
-      // Process archives sequentially (rate limiter handles timing)
-      for (const sub of filteredResults) {
-        const srtFiles = await getArchiveSrtList(config.apiKey, sub.id);
-        const lang = LANGUAGE_MAPPING[sub.language] || sub.language;
-
-        for (const srtPath of srtFiles) {
-          // For series: filter out SRTs that don't match the episode
-          if (isSeries) {
-            if (!matchesEpisode(srtPath, season, episode)) {
-              continue;
-            }
-          }
-
-          const encodedSrtPath = Buffer.from(srtPath).toString("base64url");
-
-          // Calculate weighted match score (release group +50, source +20, base fuzzy)
-          let matchScore = calculateMatchScore(videoFilename, srtPath);
-
-          // RETAIL BONUS (KISS Approach): +5 points
-          // Acts as tie-breaker for identical matches, but won't override Group/Source matches
-          const isRetail =
-            (sub.translator &&
-              sub.translator.toLowerCase().includes("retail")) ||
-            (sub.title && sub.title.toLowerCase().includes("retail"));
-
-          if (isRetail) {
-            matchScore += 5;
-          }
-
-          allSubtitles.push({
-            id: `subsro_${sub.id}_${encodedSrtPath.slice(0, 8)}`,
-            url: `${baseUrl}/${config.apiKey}/proxy/${sub.id}/${encodedSrtPath}/sub.vtt`,
-            lang,
-            srtPath,
-            matchScore,
-            isRetail, // Passed for debugging/logging
-          });
-        }
-      }
 
-      // Sort by weighted match score (highest first)
-      allSubtitles.sort((a, b) => b.matchScore - a.matchScore);
-
-      // Log top matches for debugging (Dev only)
-      if (
-        process.env.NODE_ENV === "development" &&
-        allSubtitles.length > 0 &&
-        videoFilename
-      ) {
-        const top = allSubtitles.slice(0, 5); // Show top 5
-        console.log(`[SUBS] Matching results for "${videoFilename}":`);
-        top.forEach((s, i) => {
-          console.log(`  ${i + 1}. [Score: ${s.matchScore}] ${s.srtPath}`);
-        });
+      // Store in Cache (a partial list only briefly, it's replaced by the
+      // full one once the remaining archives have been listed)
+      if (complete) {
+        storeFull(candidates);
+      } else {
+        CACHE.set(cacheKey, candidates, PARTIAL_CACHE_TTL);
+        if (completion) completion.then(storeFull);
       }
 
-      // Remove internal properties before returning
-      const subtitles = allSubtitles.map(({ id, url, lang }) => ({
-        id,
-        url,
-        lang,
-      }));
-
-      // Store in Cache
-      CACHE.set(cacheKey, {
-        data: subtitles,
-        timestamp: Date.now(),
-        ttl: subtitles.length > 0 ? CACHE_TTL : EMPTY_CACHE_TTL,
-      });
-
       if (process.env.NODE_ENV === "development") {
         console.log(
-          `[SUBS] Served ${subtitles.length} subs for ${imdbId}${
+          `[SUBS] Found ${candidates.length} subs for ${imdbId}${
             isSeries ? ` S${season}E${episode}` : ""
-          } (Status: OK)`,
+          } (Status: ${complete ? "OK" : "PARTIAL"}, quota: ${quotaMode})`,
         );
       }
 
-      return { subtitles };
+      return candidates;
     } catch (error) {
       // Errors are already logged by globalLimiter
-      return { subtitles: [] };
+      return [];
     } finally {
       PENDING_REQUESTS.delete(cacheKey);
     }
   })();
 
   PENDING_REQUESTS.set(cacheKey, fetchTask);
-  return fetchTask;
+  return rank(await fetchTask);
 };
 
 builder.defineSubtitlesHandler(subtitlesHandler);
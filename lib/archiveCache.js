@@ -1,89 +1,199 @@
 /**
- * LRU-limited cache for downloaded archive buffers
- * Max 30 items to prevent unbounded RAM growth (~15MB worst case)
+ * Byte-budgeted cache for downloaded archive buffers
+ * Capped at 32MB of RAM to prevent unbounded growth.
+ * Backed by the optional disk tier (see diskCache.js) so archives
+ * survive restarts without spending subs.ro quota again.
+ *
+ * fetchArchive() coalesces concurrent downloads of the same archive, across
+ * all callers and API keys, into a single request. A waiter that aborts only
+ * detaches itself; the download is cancelled once every waiter has, if it's
+ * still queued (one already running completes and stays shared).
  */
 
-const ARCHIVE_CACHE_MAX_SIZE = 30;
-const ARCHIVE_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+const { Cache } = require("./cache");
+const { createDiskCache } = require("./diskCache");
+const { PRIORITY, createCancelError, getLimiter } = require("./rateLimiter");
+const { getArchiveType, listSrtFiles } = require("./archiveUtils");
+const { recordQuotaUse } = require("./subsro");
 
-// Internal storage
-const _archiveStore = new Map(); // key -> { buffer, timestamp, archiveType, srtFiles }
-const _archiveOrder = []; // Track insertion order for LRU eviction
+const ARCHIVE_CACHE_MAX_BYTES = 32 * 1024 * 1024;
+const ARCHIVE_CACHE_TTL = 30 * 60 * 1000; // 30 minutes (disk tier has its own)
 
-/**
- * Get an item from cache (updates access order)
- */
-function getArchive(key) {
-  const item = _archiveStore.get(key);
-  if (!item) return null;
-
-  // Check TTL
-  if (Date.now() - item.timestamp > ARCHIVE_CACHE_TTL) {
-    deleteArchive(key);
-    return null;
-  }
+// Entries: { buffer, archiveType, srtFiles }
+const ARCHIVE_CACHE = new Cache({
+  name: "archives",
+  maxBytes: ARCHIVE_CACHE_MAX_BYTES,
+  ttl: ARCHIVE_CACHE_TTL,
+  disk: {
+    store: createDiskCache("archives", 0.75), // null when disabled
+    serialize: ({ buffer, ...meta }) => ({ data: buffer, meta }),
+    deserialize: ({ data, meta }) => ({ ...meta, buffer: data }),
+  },
+});
 
-  // Move to end of order (most recently used)
-  const idx = _archiveOrder.indexOf(key);
-  if (idx > -1) {
-    _archiveOrder.splice(idx, 1);
-    _archiveOrder.push(key);
-  }
+// subId -> { subId, apiKey, limiter, url, priority, waiters, controller,
+// promise }
+// of downloads in progress
+const IN_FLIGHT = new Map();
 
-  return item;
-}
+// Timestamp helper
+const ts = () => new Date().toISOString().slice(11, 23);
 
 /**
- * Set an item in cache (evicts oldest if at capacity)
+ * Get an archive from cache, or download it through the user's rate limiter.
+ * Concurrent calls for the same subId share one download, queued at the
+ * highest priority any of its waiters needs.
+ * @param {string} apiKey
+ * @param {string} subId
+ * @param {Object} [options]
+ * @param {number} [options.priority] - Rate limiter PRIORITY lane
+ * @param {AbortSignal} [options.signal] - Stop waiting (e.g. client gone)
+ * @param {AbortSignal} [options.backgroundSignal] - From then on this
+ *   caller only needs the archive for the cache (PREFETCH priority)
+ * @returns {Promise<{ buffer: Buffer, archiveType: string, srtFiles: string[] }>}
  */
-function setArchive(key, value) {
-  // If key already exists, remove from order tracking
-  if (_archiveStore.has(key)) {
-    const idx = _archiveOrder.indexOf(key);
-    if (idx > -1) _archiveOrder.splice(idx, 1);
-  }
+async function fetchArchive(apiKey, subId, options = {}) {
+  const { priority = PRIORITY.LISTING, signal, backgroundSignal } = options;
 
-  // Evict oldest if at capacity
-  while (_archiveOrder.length >= ARCHIVE_CACHE_MAX_SIZE) {
-    const oldestKey = _archiveOrder.shift();
-    _archiveStore.delete(oldestKey);
+  const cached = ARCHIVE_CACHE.get(`archive_${subId}`);
+  if (cached) return cached;
+  if (signal?.aborted) throw createCancelError();
+
+  const inFlight = IN_FLIGHT.get(subId) || startDownload(apiKey, subId);
+  const waiter = {
+    priority: backgroundSignal?.aborted
+      ? Math.max(priority, PRIORITY.PREFETCH)
+      : priority,
+  };
+
+  try {
+    return await waitForDownload(inFlight, waiter, {
+      signal,
+      backgroundSignal,
+    });
+  } catch (error) {
+    if (error.code === "ERR_CANCELED") {
+      // Not our own abort: we joined a queued download its last waiter
+      // cancelled just before, start another one
+      if (signal?.aborted) throw error;
+    } else if (inFlight.apiKey === apiKey) {
+      // Otherwise the failure may be specific to the other user's key
+      throw error;
+    }
   }
+  return fetchArchive(apiKey, subId, options);
+}
 
-  // Add new item
-  _archiveStore.set(key, { ...value, timestamp: Date.now() });
-  _archiveOrder.push(key);
+function startDownload(apiKey, subId) {
+  const entry = {
+    subId,
+    apiKey,
+    limiter: getLimiter(apiKey),
+    url: `https://api.subs.ro/v1.0/subtitle/${subId}/download`,
+    priority: null, // Set by the first waiter (see updatePriority)
+    waiters: new Set(), // { priority }
+    controller: new AbortController(),
+  };
+  IN_FLIGHT.set(subId, entry);
+  return entry;
 }
 
 /**
- * Delete an item from cache
+ * Requeue a shared download at the highest priority its waiters need
+ * (up when an interactive request joins, down when listings go background)
  */
-function deleteArchive(key) {
-  _archiveStore.delete(key);
-  const idx = _archiveOrder.indexOf(key);
-  if (idx > -1) _archiveOrder.splice(idx, 1);
+function updatePriority(entry) {
+  const priority = Math.min(
+    ...[...entry.waiters].map((waiter) => waiter.priority),
+  );
+  if (!Number.isFinite(priority) || priority === entry.priority) return;
+
+  const previous = entry.priority;
+  entry.priority = priority;
+  if (previous === null) return;
+  if (priority < previous) entry.limiter.promoteDownload(entry.url, priority);
+  else entry.limiter.demoteDownload(entry.url, priority);
 }
 
 /**
- * Get cache stats for debugging
+ * Wait for a shared download; cancels it when the last waiter aborts (the
+ * limiter only drops it if still queued, otherwise the entry stays in
+ * IN_FLIGHT for new callers to join)
  */
-function getArchiveCacheStats() {
-  return {
-    size: _archiveStore.size,
-    maxSize: ARCHIVE_CACHE_MAX_SIZE,
-    keys: [..._archiveOrder],
+function waitForDownload(entry, waiter, { signal, backgroundSignal }) {
+  entry.waiters.add(waiter);
+  updatePriority(entry);
+  if (!entry.promise) {
+    entry.promise = downloadArchive(entry).finally(() => {
+      if (IN_FLIGHT.get(entry.subId) === entry) IN_FLIGHT.delete(entry.subId);
+    });
+  }
+
+  const onBackground = () => {
+    waiter.priority = Math.max(waiter.priority, PRIORITY.PREFETCH);
+    updatePriority(entry);
   };
+  backgroundSignal?.addEventListener("abort", onBackground, { once: true });
+  const detach = () =>
+    backgroundSignal?.removeEventListener("abort", onBackground);
+  if (!signal) return entry.promise.finally(detach);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      detach();
+      entry.waiters.delete(waiter);
+      if (entry.waiters.size === 0) entry.controller.abort();
+      else updatePriority(entry);
+      reject(createCancelError());
+    };
+
+    signal.addEventListener("abort", onAbort, { once: true });
+    entry.promise.then(resolve, reject).finally(() => {
+      detach();
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
 }
 
-// Backwards-compatible exports (Map-like interface)
-const ARCHIVE_CACHE = {
-  get: getArchive,
-  set: setArchive,
-  delete: deleteArchive,
-  has: (key) => _archiveStore.has(key),
-  stats: getArchiveCacheStats,
-};
+async function downloadArchive({
+  subId,
+  apiKey,
+  limiter,
+  url,
+  priority,
+  controller,
+}) {
+  const buffer = await limiter.downloadArchive(url, {
+    headers: { "X-Subs-Api-Key": apiKey },
+    priority,
+    signal: controller.signal,
+  });
+  recordQuotaUse(apiKey);
+
+  const archive = {
+    buffer,
+    archiveType: getArchiveType(buffer),
+    srtFiles: await listSrtFiles(buffer),
+  };
+  ARCHIVE_CACHE.set(`archive_${subId}`, archive);
+
+  // Only log in development to prevent disk fill
+  if (process.env.NODE_ENV === "development") {
+    const status = limiter.getQueueStatus();
+    console.log(
+      `[${ts()}] [SUBS] Archive ${subId}: ${
+        archive.srtFiles.length
+      } SRTs (${archive.archiveType.toUpperCase()}) [Active: ${
+        status.activeDownloads
+      }, Pending: ${status.download}]`,
+    );
+  }
+
+  return archive;
+}
 
 module.exports = {
   ARCHIVE_CACHE,
   ARCHIVE_CACHE_TTL,
+  fetchArchive,
 };
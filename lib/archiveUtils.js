@@ -1,6 +1,42 @@
 const AdmZip = require("adm-zip");
 const { createExtractorFromData } = require("node-unrar-js");
 
+// Subtitle formats we can convert to WebVTT
+const SUBTITLE_EXTENSIONS = [".srt", ".ass", ".ssa", ".sub"];
+
+// Entry path placeholder of lazily listed items (proxy URLs built from search
+// metadata only): the proxy picks the file once the archive is downloaded
+const AUTO_SRT_PATH = "auto";
+
+/**
+ * Check if an archive entry name is a supported subtitle file
+ */
+function isSubtitleFile(name) {
+  const lower = name.toLowerCase();
+  return (
+    !lower.includes("__macosx") &&
+    SUBTITLE_EXTENSIONS.some((ext) => lower.endsWith(ext))
+  );
+}
+
+/**
+ * Drop VobSub .sub files (binary images, paired with an .idx index)
+ * @param {string[]} names - Subtitle entry names
+ * @param {string[]} allNames - Every entry name in the archive
+ */
+function dropVobSubs(names, allNames) {
+  const idxFiles = new Set(
+    allNames
+      .filter((n) => n.toLowerCase().endsWith(".idx"))
+      .map((n) => n.slice(0, -4).toLowerCase()),
+  );
+  return names.filter(
+    (n) =>
+      !n.toLowerCase().endsWith(".sub") ||
+      !idxFiles.has(n.slice(0, -4).toLowerCase()),
+  );
+}
+
 /**
  * Detect archive type from magic bytes
  */
@@ -12,43 +48,33 @@ function getArchiveType(buffer) {
 }
 
 /**
- * List all SRT files in a ZIP archive (names only)
+ * List all subtitle files in a ZIP archive (names only)
  */
 function listSrtsFromZip(buffer) {
   const zip = new AdmZip(buffer);
-  return zip
-    .getEntries()
-    .filter(
-      (e) =>
-        !e.isDirectory &&
-        !e.entryName.includes("__MACOSX") &&
-        e.entryName.toLowerCase().endsWith(".srt")
-    )
-    .map((e) => e.entryName);
+  const entries = zip.getEntries().filter((e) => !e.isDirectory);
+  const allNames = entries.map((e) => e.entryName);
+  return dropVobSubs(allNames.filter(isSubtitleFile), allNames);
 }
 
 /**
- * List all SRT files in a RAR archive (names only)
+ * List all subtitle files in a RAR archive (names only)
  */
 async function listSrtsFromRar(buffer) {
   const extractor = await createExtractorFromData({ data: buffer });
   const list = extractor.getFileList();
   const fileHeaders = [...list.fileHeaders];
-
-  return fileHeaders
-    .filter(
-      (h) =>
-        !h.flags.directory &&
-        h.name.toLowerCase().endsWith(".srt") &&
-        !h.name.includes("__MACOSX")
-    )
+  const allNames = fileHeaders
+    .filter((h) => !h.flags.directory)
     .map((h) => h.name);
+
+  return dropVobSubs(allNames.filter(isSubtitleFile), allNames);
 }
 
 /**
- * List all SRT file names in an archive (ZIP or RAR)
+ * List all subtitle file names (SRT, ASS, SSA, SUB) in an archive (ZIP or RAR)
  * @param {Buffer} archiveBuffer - The archive data
- * @returns {Promise<string[]>} - Array of SRT file paths inside the archive
+ * @returns {Promise<string[]>} - Array of subtitle file paths inside the archive
  */
 async function listSrtFiles(archiveBuffer) {
   const archiveType = getArchiveType(archiveBuffer);
@@ -99,6 +125,8 @@ async function extractSrtFile(archiveBuffer, srtPath) {
 }
 
 module.exports = {
+  AUTO_SRT_PATH,
+  isSubtitleFile,
   getArchiveType,
   listSrtFiles,
   extractSrtFile,
@@ -0,0 +1,187 @@
+/**
+ * Shared in-memory cache with byte-size budgets.
+ *
+ * - LRU eviction by estimated memory use (not item count), O(1) via Map order
+ * - TTL per entry (instance default, overridable on set)
+ * - hit / miss / eviction / expiry counters for debugging
+ * - optional disk tier (see diskCache.js): memory misses fall through to it
+ *   and hits are promoted back to memory
+ *
+ * Every instance is registered by name so stats can be collected in one place.
+ */
+
+const registry = new Map(); // name -> Cache
+
+/**
+ * Rough memory footprint of a value in bytes.
+ * Buffers count their length, strings 2 bytes per char; objects are walked
+ * once (shared references are counted a single time).
+ */
+function estimateSize(value, seen = new WeakSet()) {
+  if (value === null || value === undefined) return 0;
+  if (Buffer.isBuffer(value)) return value.length;
+
+  switch (typeof value) {
+    case "string":
+      return value.length * 2;
+    case "number":
+    case "boolean":
+      return 8;
+    case "object": {
+      if (seen.has(value)) return 0;
+      seen.add(value);
+      let size = 32; // Object/array overhead
+      const entries = Array.isArray(value) ? value : Object.values(value);
+      if (!Array.isArray(value)) {
+        for (const key of Object.keys(value)) size += key.length * 2;
+      }
+      for (const item of entries) size += estimateSize(item, seen);
+      return size;
+    }
+    default:
+      return 0;
+  }
+}
+
+class Cache {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Cache name (used in stats)
+   * @param {number} options.maxBytes - Memory budget
+   * @param {number} [options.ttl] - Default entry lifetime in ms (0 = none)
+   * @param {Function} [options.sizeOf] - value -> bytes (default: estimateSize)
+   * @param {Object} [options.disk] - Disk tier: { store, serialize, deserialize }
+   *   store is a DiskCache (or null), serialize(value) -> { data, meta },
+   *   deserialize({ data, meta }) -> value
+   */
+  constructor({ name, maxBytes, ttl = 0, sizeOf = estimateSize, disk = null }) {
+    this.name = name;
+    this.maxBytes = maxBytes;
+    this.ttl = ttl;
+    this.sizeOf = sizeOf;
+    this.disk = disk && disk.store ? disk : null;
+
+    this.store = new Map(); // key -> { value, size, expiresAt }
+    this.bytes = 0;
+    this.counters = {
+      hits: 0,
+      misses: 0,
+      diskHits: 0,
+      evictions: 0,
+      expired: 0,
+    };
+
+    registry.set(name, this);
+  }
+
+  /**
+   * Get a value (refreshes LRU order)
+   * @returns {*} - The value, or null on miss/expiry
+   */
+  get(key) {
+    const entry = this.store.get(key);
+
+    if (entry && entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.remove(key);
+      this.counters.expired++;
+    } else if (entry) {
+      this.store.delete(key);
+      this.store.set(key, entry);
+      this.counters.hits++;
+      return entry.value;
+    }
+
+    if (this.disk) {
+      const stored = this.disk.store.get(key);
+      if (stored) {
+        const value = this.disk.deserialize(stored);
+        this.setMemory(key, value, this.ttl);
+        this.counters.diskHits++;
+        return value;
+      }
+    }
+
+    this.counters.misses++;
+    return null;
+  }
+
+  /**
+   * Store a value (evicts least recently used entries over budget)
+   * @param {string} key
+   * @param {*} value
+   * @param {number} [ttl] - Lifetime in ms for this entry (default: instance TTL)
+   */
+  set(key, value, ttl = this.ttl) {
+    this.setMemory(key, value, ttl);
+
+    if (this.disk) {
+      const { data, meta } = this.disk.serialize(value);
+      if (data) this.disk.store.set(key, data, meta);
+    }
+  }
+
+  setMemory(key, value, ttl) {
+    if (this.store.has(key)) this.remove(key);
+
+    const size = this.sizeOf(value);
+    if (size > this.maxBytes) return;
+
+    this.store.set(key, {
+      value,
+      size,
+      expiresAt: ttl > 0 ? Date.now() + ttl : 0,
+    });
+    this.bytes += size;
+
+    while (this.bytes > this.maxBytes && this.store.size > 0) {
+      this.remove(this.store.keys().next().value);
+      this.counters.evictions++;
+    }
+  }
+
+  has(key) {
+    const entry = this.store.get(key);
+    if (entry && (!entry.expiresAt || Date.now() <= entry.expiresAt)) {
+      return true;
+    }
+    return Boolean(this.disk && this.disk.store.has(key));
+  }
+
+  /**
+   * Delete from memory and the disk tier
+   */
+  delete(key) {
+    this.remove(key);
+    if (this.disk) this.disk.store.delete(key);
+  }
+
+  remove(key) {
+    const entry = this.store.get(key);
+    if (!entry) return;
+    this.store.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  stats() {
+    return {
+      name: this.name,
+      entries: this.store.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ...this.counters,
+      disk: this.disk ? this.disk.store.stats() : null,
+    };
+  }
+}
+
+/**
+ * Stats of every named cache
+ */
+function getCacheStats() {
+  return [...registry.values()].map((cache) => cache.stats());
+}
+
+module.exports = {
+  Cache,
+  getCacheStats,
+};
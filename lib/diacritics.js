@@ -0,0 +1,114 @@
+/**
+ * Romanian diacritics normalization (runs after decoding).
+ *
+ * - Mojibake repair: UTF-8 text that was decoded as a single-byte codepage
+ *   ("Ã®" -> "î", "ÅŸ" -> "ş", "È™" -> "ș", "â€ž" -> "„")
+ * - Cedilla letters (ş ţ Ş Ţ) are replaced with comma-below (ș ț Ș Ț)
+ */
+
+const iconv = require("iconv-lite");
+
+// Codepages UTF-8 subtitles most often get misread as
+const MOJIBAKE_ENCODINGS = ["windows-1252", "windows-1250", "iso-8859-16"];
+
+// UTF-8 lead bytes of Romanian letters (C3 â/î, C4 ă, C5 ş/ţ, C8 ș/ț)
+// and Latin-1 punctuation (C2 « » °); E2 starts typographic quotes/dashes
+const TWO_BYTE_LEADS = [0xc2, 0xc3, 0xc4, 0xc5, 0xc8];
+const THREE_BYTE_LEAD = 0xe2;
+
+// Only sequences that decode to one of these are replaced, which keeps
+// legitimate text (e.g. "PĂŞI" in all caps) from being "repaired"
+const REPAIR_TARGETS = new Set([..."ăâîșțşţĂÂÎȘȚŞŢ„”“‘’…–—«»°"]);
+
+// Bytes the codepage has no character for decode to U+FFFD and are lost;
+// these sequences are still unambiguous for Romanian text
+const LOSSY_REPAIRS = [
+  ["â€\uFFFD", "”"], // E2 80 9D misread as windows-1252
+  ["Ä\uFFFD", "ă"], // C4 83 misread as windows-1250
+  ["Č\uFFFD", "Ș"], // C8 98 misread as windows-1250
+];
+
+const CEDILLA_TO_COMMA = {
+  ş: "ș",
+  Ş: "Ș",
+  ţ: "ț",
+  Ţ: "Ț",
+};
+
+/**
+ * Build a regex matching UTF-8 byte sequences as misread in `encoding`
+ */
+function buildMojibakeRegex(encoding) {
+  const charFor = (byte) => iconv.decode(Buffer.from([byte]), encoding);
+  const toClass = (bytes) =>
+    `[${bytes
+      .map(charFor)
+      .filter((c) => c !== "\uFFFD")
+      .map((c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`)
+      .join("")}]`;
+
+  const continuation = [];
+  for (let byte = 0x80; byte <= 0xbf; byte++) continuation.push(byte);
+
+  const cont = toClass(continuation);
+  return new RegExp(
+    `${toClass(TWO_BYTE_LEADS)}${cont}|${toClass([THREE_BYTE_LEAD])}${cont}{2}`,
+    "g",
+  );
+}
+
+const MOJIBAKE_PATTERNS = MOJIBAKE_ENCODINGS.map((encoding) => ({
+  encoding,
+  regex: buildMojibakeRegex(encoding),
+}));
+
+/**
+ * Reverse double-decoded UTF-8 sequences
+ * @param {string} text - Decoded subtitle text
+ * @returns {{ text: string, repaired: number }}
+ */
+function repairMojibake(text) {
+  let repaired = 0;
+  let result = text;
+
+  for (const { encoding, regex } of MOJIBAKE_PATTERNS) {
+    result = result.replace(regex, (match) => {
+      const decoded = iconv.encode(match, encoding).toString("utf8");
+      if (!REPAIR_TARGETS.has(decoded)) return match;
+      repaired++;
+      return decoded;
+    });
+  }
+
+  for (const [broken, fixed] of LOSSY_REPAIRS) {
+    const parts = result.split(broken);
+    repaired += parts.length - 1;
+    result = parts.join(fixed);
+  }
+
+  return { text: result, repaired };
+}
+
+/**
+ * Replace cedilla letters with the correct comma-below forms
+ */
+function cedillaToComma(text) {
+  return text.replace(/[şŞţŢ]/g, (c) => CEDILLA_TO_COMMA[c]);
+}
+
+/**
+ * Full normalization pass for decoded Romanian subtitle text
+ * @param {string} text - Decoded subtitle text
+ * @returns {{ text: string, repaired: number }} - Normalized text and the
+ *   number of mojibake sequences that were reversed
+ */
+function normalizeRomanian(text) {
+  const { text: repairedText, repaired } = repairMojibake(text);
+  return { text: cedillaToComma(repairedText), repaired };
+}
+
+module.exports = {
+  repairMojibake,
+  cedillaToComma,
+  normalizeRomanian,
+};
@@ -0,0 +1,246 @@
+/**
+ * Optional on-disk cache tier (survives the daily restart).
+ *
+ * Each entry is two files named after the SHA-1 of its key:
+ * - <hash>.bin  the payload (archive buffer, converted subtitle)
+ * - <hash>.json { key, meta, size, expiresAt }
+ * The index lives in memory (rebuilt from the .json files on startup) and is
+ * bounded by total payload bytes, with per-entry TTL and LRU eviction.
+ * Reads are synchronous so the tier fits behind the existing sync get/set
+ * cache interfaces; writes and deletions happen in the background.
+ *
+ * Enabled by setting DISK_CACHE_DIR. Optional:
+ * - DISK_CACHE_MAX_MB (default 500), shared between namespaces
+ * - DISK_CACHE_TTL_HOURS (default 168 = 7 days)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_MAX_MB = 500;
+const DEFAULT_TTL_HOURS = 7 * 24;
+
+// Timestamp helper
+const ts = () => new Date().toISOString().slice(11, 23);
+
+class DiskCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for this cache's files
+   * @param {number} options.maxBytes - Total payload size budget
+   * @param {number} options.ttl - Entry lifetime in ms
+   */
+  constructor({ dir, maxBytes, ttl }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.ttl = ttl;
+
+    this.index = new Map(); // key -> { hash, size, expiresAt } (LRU order)
+    this.totalBytes = 0;
+    this.pendingWrites = new Set();
+
+    fs.mkdirSync(dir, { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Rebuild the index from the .json files (least recently used first)
+   */
+  load() {
+    const now = Date.now();
+    const entries = [];
+
+    for (const file of fs.readdirSync(this.dir)) {
+      // Leftovers of a write interrupted by exit
+      if (file.endsWith(".tmp")) {
+        fs.unlink(path.join(this.dir, file), () => {});
+        continue;
+      }
+      if (!file.endsWith(".json")) continue;
+      const hash = file.slice(0, -5);
+      try {
+        const metaPath = path.join(this.dir, file);
+        const info = JSON.parse(fs.readFileSync(metaPath, "utf-8"));
+        const binStat = fs.statSync(path.join(this.dir, `${hash}.bin`));
+        if (info.expiresAt <= now) throw new Error("expired");
+        entries.push({
+          key: info.key,
+          hash,
+          size: binStat.size,
+          expiresAt: info.expiresAt,
+          lastAccess: fs.statSync(metaPath).mtimeMs,
+        });
+      } catch (e) {
+        this.removeFiles(hash);
+      }
+    }
+
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const { key, hash, size, expiresAt } of entries) {
+      this.index.set(key, { hash, size, expiresAt });
+      this.totalBytes += size;
+    }
+    this.evict();
+
+    if (process.env.NODE_ENV === "development") {
+      console.log(
+        `[${ts()}] [DiskCache] Loaded ${this.index.size} entries (${Math.round(
+          this.totalBytes / 1024,
+        )} KB) from ${this.dir}`,
+      );
+    }
+  }
+
+  hashKey(key) {
+    return crypto.createHash("sha1").update(key).digest("hex");
+  }
+
+  /**
+   * Get an entry (refreshes LRU order)
+   * @returns {{ data: Buffer, meta: Object } | null}
+   */
+  get(key) {
+    const entry = this.index.get(key);
+    if (!entry || this.pendingWrites.has(key)) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this.delete(key);
+      return null;
+    }
+
+    let data;
+    let meta;
+    try {
+      data = fs.readFileSync(path.join(this.dir, `${entry.hash}.bin`));
+      const metaPath = path.join(this.dir, `${entry.hash}.json`);
+      meta = JSON.parse(fs.readFileSync(metaPath, "utf-8")).meta;
+
+      // Persist access time so LRU order survives restarts
+      const now = new Date();
+      fs.utimes(metaPath, now, now, () => {});
+    } catch (e) {
+      this.delete(key);
+      return null;
+    }
+
+    this.index.delete(key);
+    this.index.set(key, entry);
+    return { data, meta };
+  }
+
+  /**
+   * Store an entry (written in the background, evicts LRU entries over budget)
+   * @param {string} key
+   * @param {Buffer} data - Payload
+   * @param {Object} [meta] - JSON-serializable metadata
+   */
+  set(key, data, meta = {}) {
+    if (data.length > this.maxBytes) return;
+
+    // Same key -> same files, they are simply overwritten
+    const existing = this.index.get(key);
+    if (existing) {
+      this.index.delete(key);
+      this.totalBytes -= existing.size;
+    }
+
+    const hash = this.hashKey(key);
+    const expiresAt = Date.now() + this.ttl;
+    this.index.set(key, { hash, size: data.length, expiresAt });
+    this.totalBytes += data.length;
+    this.evict();
+
+    this.pendingWrites.add(key);
+    this.writeFiles(hash, data, { key, meta, expiresAt })
+      .then(() => {
+        // Evicted while the write was in flight
+        if (!this.index.has(key)) this.removeFiles(hash);
+      })
+      .catch((error) => {
+        console.error(`[DiskCache] Write failed for ${key}:`, error.message);
+        this.delete(key);
+      })
+      .finally(() => this.pendingWrites.delete(key));
+  }
+
+  async writeFiles(hash, data, info) {
+    const binPath = path.join(this.dir, `${hash}.bin`);
+    const metaPath = path.join(this.dir, `${hash}.json`);
+
+    // Write to temp files and rename so a crash never leaves half an entry
+    await fs.promises.writeFile(`${binPath}.tmp`, data);
+    await fs.promises.rename(`${binPath}.tmp`, binPath);
+    await fs.promises.writeFile(`${metaPath}.tmp`, JSON.stringify(info));
+    await fs.promises.rename(`${metaPath}.tmp`, metaPath);
+  }
+
+  has(key) {
+    const entry = this.index.get(key);
+    return Boolean(entry) && Date.now() <= entry.expiresAt;
+  }
+
+  delete(key) {
+    const entry = this.index.get(key);
+    if (!entry) return;
+    this.index.delete(key);
+    this.totalBytes -= entry.size;
+    this.removeFiles(entry.hash);
+  }
+
+  removeFiles(hash) {
+    for (const ext of [".bin", ".json"]) {
+      fs.unlink(path.join(this.dir, `${hash}${ext}`), () => {});
+    }
+  }
+
+  /**
+   * Evict least recently used entries until under the byte budget
+   */
+  evict() {
+    while (this.totalBytes > this.maxBytes && this.index.size > 0) {
+      const oldestKey = this.index.keys().next().value;
+      this.delete(oldestKey);
+    }
+  }
+
+  stats() {
+    return {
+      dir: this.dir,
+      entries: this.index.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+    };
+  }
+}
+
+/**
+ * Create the disk tier for a cache namespace, or null if disabled
+ * @param {string} namespace - Subdirectory name (e.g. "archives")
+ * @param {number} share - Fraction of DISK_CACHE_MAX_MB for this namespace
+ * @returns {DiskCache|null}
+ */
+function createDiskCache(namespace, share) {
+  const baseDir = process.env.DISK_CACHE_DIR;
+  if (!baseDir) return null;
+
+  const maxMb = parseFloat(process.env.DISK_CACHE_MAX_MB) || DEFAULT_MAX_MB;
+  const ttlHours =
+    parseFloat(process.env.DISK_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS;
+
+  try {
+    return new DiskCache({
+      dir: path.join(baseDir, namespace),
+      maxBytes: Math.floor(maxMb * 1024 * 1024 * share),
+      ttl: ttlHours * 60 * 60 * 1000,
+    });
+  } catch (error) {
+    console.error(`[DiskCache] Disabled for "${namespace}": ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  DiskCache,
+  createDiskCache,
+};
@@ -0,0 +1,131 @@
+/**
+ * Romanian-aware encoding detection.
+ *
+ * The buffer is decoded with every candidate encoding and each result is
+ * scored: valid Romanian diacritics count for it, replacement characters,
+ * control characters and letters foreign to Romanian count against it.
+ * The best scoring decode wins (ties go to the earlier candidate).
+ */
+
+const iconv = require("iconv-lite");
+const jschardet = require("jschardet");
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+  { bytes: [0xff, 0xfe], encoding: "utf-16le" },
+  { bytes: [0xfe, 0xff], encoding: "utf-16be" },
+];
+
+// In order of preference
+const CANDIDATES = [
+  "utf-8",
+  "windows-1250",
+  "iso-8859-16",
+  "iso-8859-2",
+  "windows-1252",
+];
+
+const ROMANIAN_CHARS = new Set([..."ăâîșțşţĂÂÎȘȚŞŢ"]);
+// Typography that shows up in well-formed subtitles (neutral for scoring)
+const NEUTRAL_CHARS = new Set([..."„”“‘’…–—«»°· "]);
+
+const SCORE = {
+  romanian: 2,
+  foreign: -1,
+  control: -5,
+  replacement: -10,
+};
+
+/**
+ * Get the encoding announced by a byte order mark, if any
+ */
+function getBomEncoding(buffer) {
+  const bom = BOMS.find(({ bytes }) =>
+    bytes.every((byte, idx) => buffer[idx] === byte),
+  );
+  return bom ? bom.encoding : null;
+}
+
+/**
+ * Guess UTF-16 without BOM from the NUL byte pattern (ASCII in UTF-16
+ * has a zero in every other byte)
+ */
+function guessUtf16(buffer) {
+  const sample = buffer.subarray(0, 2048);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let idx = 0; idx < sample.length; idx++) {
+    if (sample[idx] === 0) {
+      if (idx % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const half = sample.length / 2;
+  if (oddZeros > half * 0.3 && oddZeros > evenZeros * 4) return "utf-16le";
+  if (evenZeros > half * 0.3 && evenZeros > oddZeros * 4) return "utf-16be";
+  return null;
+}
+
+/**
+ * Score decoded text for plausibility as (Romanian) subtitle text
+ * @param {string} text - Decoded text
+ * @returns {number} - Higher is better
+ */
+function scoreText(text) {
+  let score = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      if (code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d) {
+        score += SCORE.control;
+      }
+    } else if (code === 0xfffd) {
+      score += SCORE.replacement;
+    } else if (code <= 0x9f) {
+      score += SCORE.control; // C1 controls
+    } else if (ROMANIAN_CHARS.has(char)) {
+      score += SCORE.romanian;
+    } else if (!NEUTRAL_CHARS.has(char) && code !== 0xfeff) {
+      score += SCORE.foreign;
+    }
+  }
+  return score;
+}
+
+/**
+ * Detect the encoding of a subtitle buffer and decode it
+ * @param {Buffer} buffer - Raw subtitle file
+ * @returns {{ encoding: string, text: string, score: number }}
+ */
+function detectEncoding(buffer) {
+  const bomEncoding = getBomEncoding(buffer);
+  if (bomEncoding) {
+    const text = iconv.decode(buffer, bomEncoding);
+    return { encoding: bomEncoding, text, score: scoreText(text) };
+  }
+
+  const candidates = [...CANDIDATES];
+  const utf16 = guessUtf16(buffer);
+  if (utf16) candidates.unshift(utf16);
+
+  const guess = jschardet.detect(buffer).encoding;
+  if (guess && iconv.encodingExists(guess)) {
+    const normalized = guess.toLowerCase();
+    if (!candidates.includes(normalized)) candidates.push(normalized);
+  }
+
+  let best = null;
+  for (const encoding of candidates) {
+    const text = iconv.decode(buffer, encoding);
+    const score = scoreText(text);
+    if (!best || score > best.score) {
+      best = { encoding, text, score };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  detectEncoding,
+  scoreText,
+};
@@ -0,0 +1,217 @@
+/**
+ * Sync feedback: which subtitle was in sync (or not) for which video.
+ *
+ * Votes are kept per video (Stremio's videoHash and/or filename) and per
+ * subtitle (subId + encoded path and timing params, as in the proxy URL). Each API key has one
+ * vote per pair, so repeating a vote doesn't stack it. The store lives in
+ * memory (LRU by video, bounded) and is saved to a JSON file in the
+ * background after changes, loaded again on startup.
+ *
+ * File: FEEDBACK_FILE, default feedback.json in DISK_CACHE_DIR (or ./cache)
+ * FEEDBACK_MIN_VOTERS: distinct keys before a subtitle's votes count
+ * (default 1; raise it on a shared instance)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MAX_VIDEOS = 20000;
+const MAX_SUBTITLES_PER_VIDEO = 100; // Least recently voted dropped
+const MAX_VOTERS = 50; // Per video/subtitle pair (oldest votes dropped)
+// Distinct keys before a pair's votes count (1: a user's own votes apply)
+const MIN_VOTERS = parseInt(process.env.FEEDBACK_MIN_VOTERS, 10) || 1;
+const SAVE_DELAY_MS = 5000; // Batches votes into one write
+const MAX_FILENAME_LENGTH = 500;
+
+const FEEDBACK_FILE =
+  process.env.FEEDBACK_FILE ||
+  path.join(
+    process.env.DISK_CACHE_DIR || path.join(__dirname, "..", "cache"),
+    "feedback.json",
+  );
+
+// Timestamp helper
+const ts = () => new Date().toISOString().slice(11, 23);
+
+// videoKey -> { subtitleKey -> { voterHash -> 1 | -1 } } (LRU order at
+// every level)
+const videos = new Map();
+let saveTimer = null;
+let saving = false;
+let dirty = false; // Changed since the last save started
+
+/**
+ * Video keys of a request ("hash:..." and/or "file:..."), most specific first
+ * @returns {string[]}
+ */
+function getVideoKeys({ videoHash, filename } = {}) {
+  const keys = [];
+  if (typeof videoHash === "string" && /^[a-f0-9]{8,64}$/i.test(videoHash)) {
+    keys.push(`hash:${videoHash.toLowerCase()}`);
+  }
+  if (typeof filename === "string" && filename.trim()) {
+    const name = filename.split(/[\\/]/).pop().trim().toLowerCase();
+    keys.push(`file:${name.slice(0, MAX_FILENAME_LENGTH)}`);
+  }
+  return keys;
+}
+
+/**
+ * Key of a served subtitle (same parts as its proxy URL). Retimed variants
+ * (frame rate conversion, offset) are keyed apart from the original: one
+ * can be in sync where the other isn't.
+ * @param {string} subId
+ * @param {string} encodedSrtPath
+ * @param {Object} [timing] - Proxy timing params (sourceFps, targetFps, offset)
+ */
+function getSubtitleKey(
+  subId,
+  encodedSrtPath,
+  { sourceFps, targetFps, offset } = {},
+) {
+  let key = `${subId}/${encodedSrtPath}`;
+  if (sourceFps && targetFps) key += `@${sourceFps}-${targetFps}fps`;
+  if (offset) key += `@${offset}ms`;
+  return key;
+}
+
+const hashVoter = (apiKey) =>
+  crypto.createHash("sha1").update(apiKey).digest("hex").slice(0, 16);
+
+function load() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(FEEDBACK_FILE, "utf-8"));
+    for (const [videoKey, subtitles] of Object.entries(saved)) {
+      videos.set(videoKey, subtitles);
+    }
+    if (process.env.NODE_ENV === "development") {
+      console.log(
+        `[${ts()}] [Feedback] Loaded ${videos.size} videos from ${FEEDBACK_FILE}`,
+      );
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(
+        `[Feedback] Could not load ${FEEDBACK_FILE}:`,
+        error.message,
+      );
+    }
+  }
+}
+
+async function save() {
+  dirty = false;
+  const data = JSON.stringify(Object.fromEntries(videos));
+  await fs.promises.mkdir(path.dirname(FEEDBACK_FILE), { recursive: true });
+  // Temp file and rename so a crash never leaves half a file
+  await fs.promises.writeFile(`${FEEDBACK_FILE}.tmp`, data);
+  await fs.promises.rename(`${FEEDBACK_FILE}.tmp`, FEEDBACK_FILE);
+}
+
+function scheduleSave() {
+  dirty = true;
+  if (saveTimer || saving) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saving = true;
+    save().then(
+      () => {
+        saving = false;
+        if (dirty) scheduleSave(); // Votes that came in meanwhile
+      },
+      (error) => {
+        // Retried with the next vote (or on exit)
+        saving = false;
+        dirty = true;
+        console.error(`[Feedback] Save failed:`, error.message);
+      },
+    );
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Record a vote for a subtitle on a video
+ * @param {Object} vote
+ * @param {string} vote.apiKey - Voter (hashed; one vote per key and pair)
+ * @param {string} vote.subtitleKey - See getSubtitleKey
+ * @param {boolean} vote.inSync - In sync (true) or out of sync (false)
+ * @param {string} [vote.videoHash]
+ * @param {string} [vote.filename]
+ * @returns {boolean} - false if the video can't be identified
+ */
+function recordFeedback({ apiKey, subtitleKey, inSync, videoHash, filename }) {
+  const videoKeys = getVideoKeys({ videoHash, filename });
+  if (videoKeys.length === 0) return false;
+
+  const voter = hashVoter(apiKey);
+  for (const videoKey of videoKeys) {
+    const subtitles = videos.get(videoKey) || {};
+    videos.delete(videoKey);
+    videos.set(videoKey, subtitles);
+
+    const voters = subtitles[subtitleKey] || {};
+    delete voters[voter];
+    voters[voter] = inSync ? 1 : -1;
+    const names = Object.keys(voters);
+    const extraVoters = Math.max(0, names.length - MAX_VOTERS);
+    for (const name of names.slice(0, extraVoters)) {
+      delete voters[name];
+    }
+    delete subtitles[subtitleKey];
+    subtitles[subtitleKey] = voters;
+    const keys = Object.keys(subtitles);
+    const excess = Math.max(0, keys.length - MAX_SUBTITLES_PER_VIDEO);
+    for (const key of keys.slice(0, excess)) {
+      delete subtitles[key];
+    }
+  }
+
+  while (videos.size > MAX_VIDEOS) {
+    videos.delete(videos.keys().next().value);
+  }
+  scheduleSave();
+  return true;
+}
+
+/**
+ * Net votes per subtitle for a video. A subtitle voted on for the video
+ * hash ignores the votes under the filename (the hash is exact). Subtitles
+ * with fewer than MIN_VOTERS voters are left out.
+ * @returns {Map<string, number>} - subtitleKey -> net votes (+ in sync)
+ */
+function getVideoFeedback({ videoHash, filename } = {}) {
+  const result = new Map();
+  for (const videoKey of getVideoKeys({ videoHash, filename })) {
+    const subtitles = videos.get(videoKey);
+    if (!subtitles) continue;
+    for (const [subtitleKey, voters] of Object.entries(subtitles)) {
+      if (result.has(subtitleKey)) continue;
+      const votes = Object.values(voters);
+      if (votes.length < MIN_VOTERS) continue;
+      const net = votes.reduce((sum, vote) => sum + vote, 0);
+      result.set(subtitleKey, net);
+    }
+  }
+  return result;
+}
+
+load();
+
+// Votes still waiting for the delayed save (e.g. the scheduled restart)
+process.on("exit", () => {
+  if (!dirty) return;
+  try {
+    fs.mkdirSync(path.dirname(FEEDBACK_FILE), { recursive: true });
+    fs.writeFileSync(FEEDBACK_FILE, JSON.stringify(Object.fromEntries(videos)));
+  } catch (error) {
+    console.error(`[Feedback] Save on exit failed:`, error.message);
+  }
+});
+
+module.exports = {
+  getSubtitleKey,
+  recordFeedback,
+  getVideoFeedback,
+};
@@ -60,6 +60,19 @@ function getReleaseGroup(filename) {
     "INTERNAL",
     "REPACK",
     "PROPER",
+    "RERIP",
+    "AMZN",
+    "NF",
+    "DSNP",
+    "HMAX",
+    "ATVP",
+    "HULU",
+    "PCOK",
+    "PMTP",
+    "EXTENDED",
+    "UNRATED",
+    "UNCUT",
+    "IMAX",
     "LIMITED",
     "MULTI",
     "SUBS",
@@ -77,45 +90,187 @@ function getReleaseGroup(filename) {
   return null;
 }
 
+// Match a tag as a whole token ("TS" must not match inside "Subtitles")
+const tagRegex = (pattern) =>
+  new RegExp(`(?<![a-z0-9])(?:${pattern})(?![a-z0-9])`, "i");
+
+// Checked in order (REMUX before BluRay, WEBRip before WEB). Sources of the
+// same family usually share timing (a WEB-DL sub often fits a WEBRip).
+const SOURCES = [
+  { name: "REMUX", family: "bluray", regex: tagRegex("REMUX") },
+  {
+    name: "BLURAY",
+    family: "bluray",
+    regex: tagRegex("BLU-?RAY|BDRIP|BRRIP|BD(?:25|50|5|9)?"),
+  },
+  { name: "WEBRIP", family: "web", regex: tagRegex("WEB-?RIP") },
+  { name: "WEB-DL", family: "web", regex: tagRegex("WEB-?DL|WEB") },
+  { name: "HDTV", family: "tv", regex: tagRegex("HDTV|PDTV|SDTV") },
+  { name: "DVD", family: "dvd", regex: tagRegex("DVD(?:RIP|R|5|9)?") },
+  { name: "HDRIP", family: "hdrip", regex: tagRegex("HDRIP") },
+  {
+    name: "CAM",
+    family: "cam",
+    regex: tagRegex("HD-?CAM|CAM|HD-?TS|TS|TELESYNC|TC|TELECINE|SCR|SCREENER"),
+  },
+];
+
+// Streaming services (each has its own master, often with different cuts)
+const SERVICES = [
+  { name: "AMZN", regex: tagRegex("AMZN|AMAZON") },
+  { name: "NF", regex: tagRegex("NF|NETFLIX") },
+  { name: "DSNP", regex: tagRegex("DSNP|DSNY|DISNEY") },
+  { name: "HMAX", regex: tagRegex("HMAX") },
+  { name: "ATVP", regex: tagRegex("ATVP") },
+  { name: "HULU", regex: tagRegex("HULU") },
+  { name: "PCOK", regex: tagRegex("PCOK") },
+  { name: "PMTP", regex: tagRegex("PMTP") },
+];
+
+const RESOLUTIONS = [
+  { name: "2160p", regex: tagRegex("2160p|4K|UHD") },
+  { name: "1080p", regex: tagRegex("1080[pi]") },
+  { name: "720p", regex: tagRegex("720p") },
+  { name: "SD", regex: tagRegex("480p|576p") },
+];
+
+// Cuts with a different running time than the theatrical release
+const EDITIONS = [
+  { name: "EXTENDED", regex: tagRegex("EXTENDED(?:[ ._-]?(?:CUT|EDITION))?") },
+  { name: "DIRECTORS_CUT", regex: tagRegex("DIRECTOR'?S[ ._-]?CUT") },
+  { name: "UNRATED", regex: tagRegex("UNRATED|UNCUT") },
+  { name: "IMAX", regex: tagRegex("IMAX") },
+];
+
+const REPACK_REGEX = tagRegex("REPACK|PROPER|RERIP");
+
 /**
- * Extract quality/source tags from a filename.
+ * Parse the release tags of a filename.
+ * @param {string} filename - Video or subtitle file name (or a title)
+ * @returns {{ source: Object|null, service: string|null,
+ *   resolution: string|null, editions: string[], repack: boolean,
+ *   group: string|null }}
  */
-function getQualityTags(filename) {
-  if (!filename) return [];
-  const tags = [
-    "REMUX",
-    "BluRay",
-    "BDRip",
-    "BRRip",
-    "WEB-DL",
-    "WEBRip",
-    "WEBDL",
-    "HDRip",
-    "DVDRip",
-    "HDTV",
-    "PDTV",
-    "CAM",
-    "TS",
-    "TC",
-    "SCR",
-    "101",
-  ];
-  const found = [];
-  const normalized = filename.toUpperCase();
-  for (const tag of tags) {
-    if (normalized.includes(tag.toUpperCase())) found.push(tag.toUpperCase());
+function parseReleaseName(filename) {
+  const name = (filename || "").replace(/\.[a-zA-Z0-9]+$/, "");
+  const find = (list) => list.find(({ regex }) => regex.test(name)) || null;
+
+  const source = find(SOURCES);
+  const service = find(SERVICES);
+  const resolution = find(RESOLUTIONS);
+  return {
+    source: source && { name: source.name, family: source.family },
+    service: service && service.name,
+    resolution: resolution && resolution.name,
+    editions: EDITIONS.filter(({ regex }) => regex.test(name)).map(
+      ({ name: edition }) => edition,
+    ),
+    repack: REPACK_REGEX.test(name),
+    group: getReleaseGroup(filename),
+  };
+}
+
+// Source tags that imply a frame rate when none is stated explicitly.
+// PAL DVDs run at 25fps (4% speed-up), film-sourced WEB/BluRay at 23.976.
+// An NTSC tag overrides the DVD tags (NTSC DVDs keep film speed).
+const NTSC_SOURCE_REGEX = /\bNTSC\b/i;
+const PAL_SOURCE_REGEX = /\b(?:PAL|DVD(?:RIP|R|5|9)?)\b/i;
+const FILM_SOURCE_REGEX =
+  /\b(?:WEB(?:-?DL|-?RIP)?|BLU-?RAY|BDRIP|BRRIP|BD(?:25|50)?|REMUX|AMZN|NF|DSNP|HMAX|ATVP)\b/i;
+
+/**
+ * Get the frame rate of a release from its filename.
+ * An explicit value ("23.976fps", "[25 FPS]") wins; otherwise it is inferred
+ * from the source tag (NTSC -> 23.976, PAL DVD -> 25, WEB/BluRay -> 23.976).
+ * @param {string} filename - The video or subtitle file name
+ * @returns {number|null} - Frame rate, or null if it can't be told
+ */
+function getFrameRate(filename) {
+  if (!filename) return null;
+
+  const match = filename.match(/(?<!\d)(\d{2,3}(?:[.,]\d{1,3})?)\s*fps\b/i);
+  if (match) {
+    const fps = parseFloat(match[1].replace(",", "."));
+    if (fps >= 10 && fps <= 120) return fps;
   }
-  return found;
+
+  if (NTSC_SOURCE_REGEX.test(filename)) return 23.976;
+  if (PAL_SOURCE_REGEX.test(filename)) return 25;
+  if (FILM_SOURCE_REGEX.test(filename)) return 23.976;
+  return null;
+}
+
+/**
+ * Detect a frame rate mismatch between the video and subtitle releases.
+ * @param {string} videoFilename - The video file name
+ * @param {string} subtitleFilename - The subtitle file name
+ * @returns {{ sourceFps: number, targetFps: number } | null} - Conversion
+ *   to apply to the subtitle, or null if the rates match or are unknown
+ */
+function detectFpsMismatch(videoFilename, subtitleFilename) {
+  const targetFps = getFrameRate(videoFilename);
+  const sourceFps = getFrameRate(subtitleFilename);
+  if (!targetFps || !sourceFps) return null;
+  if (Math.abs(targetFps - sourceFps) < 0.1) return null;
+  return { sourceFps, targetFps };
+}
+
+// Points per tag category when video and subtitle agree, and what a
+// conflict (both tagged, different values) costs. The release group is the
+// strongest sync indicator; the edition decides the running time.
+const MATCH_WEIGHTS = {
+  group: { match: 40, conflict: 0 },
+  source: { match: 20, family: 10, conflict: -15 },
+  service: { match: 10, conflict: -10 },
+  edition: { match: 15, conflict: -20, missing: -10 },
+  repack: { match: 5, conflict: -5 },
+  resolution: { match: 5, conflict: 0 },
+  similarity: 10, // Max points for fuzzy title similarity
+};
+
+/**
+ * Score the source tags: same source, same family or a conflict
+ */
+function scoreSource(video, subtitle) {
+  if (!video || !subtitle) return 0;
+  if (video.name === subtitle.name) return MATCH_WEIGHTS.source.match;
+  if (video.family === subtitle.family) return MATCH_WEIGHTS.source.family;
+  return MATCH_WEIGHTS.source.conflict;
+}
+
+/**
+ * Score the editions. Untagged counts as the theatrical cut, so an edition
+ * on one side only costs points too (less than two different editions).
+ */
+function scoreEditions(video, subtitle) {
+  if (video.length === 0 && subtitle.length === 0) return 0;
+  if (video.length === 0 || subtitle.length === 0) {
+    return MATCH_WEIGHTS.edition.missing;
+  }
+  return video.some((edition) => subtitle.includes(edition))
+    ? MATCH_WEIGHTS.edition.match
+    : MATCH_WEIGHTS.edition.conflict;
+}
+
+/**
+ * Score a tag both sides may or may not carry
+ */
+function scoreTag(video, subtitle, weights) {
+  if (!video || !subtitle) return 0;
+  return video === subtitle ? weights.match : weights.conflict;
 }
 
 /**
  * Calculate weighted match score between video filename and subtitle filename.
- * Based on industry research: Group + Source are primary sync indicators.
- *
- * Scoring (0-100 bounded):
- * - Release Group Match: +50
- * - Source Type Match: +30
- * - Title Fuzzy Similarity: 0-20 (capped, tiebreaker only)
+ * Both names are parsed into release tags (see parseReleaseName) and each
+ * category adds or removes points (see MATCH_WEIGHTS):
+ * - Release Group Match: +40 (primary sync indicator)
+ * - Source: +20 same, +10 same family (WEB-DL/WEBRip), -15 conflict
+ * - Edition: +15 same, -20 different, -10 on one side only
+ * - Streaming Service: +10 same, -10 different
+ * - REPACK/PROPER: +5 both, -5 one side only
+ * - Resolution: +5 same
+ * - Title Fuzzy Similarity: 0-10 (tiebreaker only)
  *
  * @param {string} videoFilename - The video file name
  * @param {string} subtitleFilename - The subtitle file name
@@ -124,36 +279,42 @@ function getQualityTags(filename) {
 function calculateMatchScore(videoFilename, subtitleFilename) {
   if (!videoFilename || !subtitleFilename) return 0;
 
-  const vGroup = getReleaseGroup(videoFilename);
-  const vTags = getQualityTags(videoFilename);
-  const sGroup = getReleaseGroup(subtitleFilename);
+  const video = parseReleaseName(videoFilename);
+  const subtitle = parseReleaseName(subtitleFilename);
   const subNormalized = subtitleFilename.toUpperCase();
 
   let score = 0;
 
-  // 1. Release Group Match (+50) - Primary sync indicator
   const hasGroupMatch =
-    (vGroup && sGroup && vGroup === sGroup) ||
-    (vGroup && subNormalized.includes(vGroup));
+    (video.group && subtitle.group && video.group === subtitle.group) ||
+    (video.group && subNormalized.includes(video.group));
   if (hasGroupMatch) {
-    score += 50;
+    score += MATCH_WEIGHTS.group.match;
   }
 
-  // 2. Source Type Match (+30) - Secondary sync indicator
-  const hasSourceMatch = vTags.some((tag) => subNormalized.includes(tag));
-  if (hasSourceMatch) {
-    score += 30;
+  score += scoreSource(video.source, subtitle.source);
+  score += scoreEditions(video.editions, subtitle.editions);
+  score += scoreTag(video.service, subtitle.service, MATCH_WEIGHTS.service);
+  score += scoreTag(
+    video.resolution,
+    subtitle.resolution,
+    MATCH_WEIGHTS.resolution,
+  );
+  if (video.repack || subtitle.repack) {
+    score +=
+      video.repack && subtitle.repack
+        ? MATCH_WEIGHTS.repack.match
+        : MATCH_WEIGHTS.repack.conflict;
   }
 
-  // 3. Title Fuzzy Similarity (0-20) - Tiebreaker only
-  // Cap at 20 since we already filter by IMDB ID
+  // Capped since we already filter by IMDB ID
   const fuzzyScore = fuzz.token_set_ratio(
     videoFilename.toLowerCase(),
     subtitleFilename.toLowerCase(),
   );
-  score += Math.min(20, Math.round(fuzzyScore * 0.2));
+  score += Math.round((fuzzyScore * MATCH_WEIGHTS.similarity) / 100);
 
-  return Math.min(100, score);
+  return Math.max(0, Math.min(100, score));
 }
 
 /**
@@ -196,118 +357,315 @@ function findBestMatch(target, candidates) {
 }
 
 // Static patterns (compiled once)
-const SEASON_INDICATOR_REGEX =
-  /s\d+e\d+|\d+x\d+|(?:season|sezon|stagione|saison|staffel|évad|κύκλος|temporada)\s*\d+/i;
-
 const SEASON_KEYWORDS =
-  "(?:season|sezon|stagione|saison|staffel|évad|κύκλος|temporada)";
+  "(?:season|sezonul|sezon|stagione|saison|staffel|évad|κύκλος|temporada)";
 const EPISODE_KEYWORDS =
-  "(?:episode|episod|episodio|épisode|folge|epizód|επεισόδιο|episódio)";
+  "(?:episode|episodul|episod|episodio|épisode|folge|epizód|επεισόδιο|episódio)";
+
+// S01E01, S01E01E02, S01E01-E03, S01E01-03, S01E01+E02
+const SXXEXX_REGEX =
+  /s(\d{1,2})[\s._-]?e(\d{1,4})((?:[\s._-]?[-+&]?[\s._-]?(?:s\d{1,2})?e\d{1,4}|-\d{1,4}(?![\dp]))*)/i;
+// 1x01, 1x01-1x02, 1x01-02
+const NXNN_REGEX = /\b(\d{1,2})x(\d{1,3})(?:[-_&+](?:\d{1,2}x)?(\d{1,3}))?\b/i;
+// Season X ... Episode Y(-Z), any of the supported languages
+const VERBOSE_REGEX = new RegExp(
+  `${SEASON_KEYWORDS}\\s*(\\d{1,2}).*?${EPISODE_KEYWORDS}\\s*(\\d{1,4})(?:\\s*[-–&]\\s*(\\d{1,4}))?`,
+  "i",
+);
+// Specials (Stremio/TVDB season 0): SP01, Special 2, OVA 3
+const SPECIAL_REGEX = /\b(?:sp|special|ova|oad)[\s._-]?(\d{1,3})\b/i;
+// Episode without season: E05, Ep.5, Episode 5(-6)
+const EPISODE_ONLY_REGEX = new RegExp(
+  `(?:\\b(?:e|ep\\.?)|${EPISODE_KEYWORDS})\\s*(\\d{1,4})(?:\\s*-\\s*(?:e|ep\\.?)?\\s*(\\d{1,4}))?\\b`,
+  "i",
+);
+// Season without episode: "Season 2 complete", "Show.S02.720p"
+const SEASON_ONLY_REGEX = new RegExp(
+  `${SEASON_KEYWORDS}\\s*(\\d{1,2})\\b|\\bs(\\d{1,2})\\b`,
+  "i",
+);
+// Absolute numbering (anime): "[Group] Show - 12 [1080p]", "Show.1003.srt"
+const ABSOLUTE_REGEX = /(?:^|[\s._\])-])(\d{2,4})(?:v\d)?(?=[\s._[(-]|$)/g;
+
+// Extra episodes of a multi-episode file must follow closely
+const MAX_EPISODE_SPAN = 50;
+
+/**
+ * Build an episode range, ignoring implausible extra episode numbers
+ */
+function toEpisodeRange(season, first, extra = []) {
+  let last = first;
+  for (const value of extra) {
+    if (value > last && value - first <= MAX_EPISODE_SPAN) last = value;
+  }
+  return { season, firstEpisode: first, lastEpisode: last };
+}
 
 /**
- * Check if a text contains a specific season/episode pattern.
- * Optimized to avoid excessive RegExp creation.
- * Matches: S01E05, S1E5, 1x05, E05, Ep.5, Episode 5, etc.
+ * Find an absolute episode number, skipping years and codec names (H.264)
+ */
+function findAbsoluteEpisode(text) {
+  for (const match of text.matchAll(ABSOLUTE_REGEX)) {
+    const value = parseInt(match[1], 10);
+    if (match[1].length === 4 && value >= 1900 && value <= 2099) continue;
+    if (/[hx]\.$/i.test(text.slice(0, match.index + 1))) continue;
+    return value;
+  }
+  return null;
+}
+
+/**
+ * Parse the season and episode range of a file name or title.
+ * - Multi-episode files: S01E01E02, S01E01-E03, 1x01-1x02 -> episodes 1..N
+ * - Season 0 specials: S00E03, SP03, Special 3, OVA 3
+ * - Absolute numbering (anime): "Show - 12" -> season null, episode 12
+ * - Season packs without an episode: "Season 2" -> episodes null
+ * @param {string} text - File name (without folders) or title
+ * @returns {{ season: number|null, firstEpisode: number|null,
+ *   lastEpisode: number|null } | null} - null if nothing was found
+ */
+function extractSeasonEpisode(text) {
+  if (!text) return null;
+  // Extensions would read as separators/episodes otherwise ("01.srt")
+  const name = text.replace(/\.(?:srt|ass|ssa|sub|txt)$/i, "");
+  const toInt = (value) => parseInt(value, 10);
+
+  let match = name.match(SXXEXX_REGEX);
+  if (match) {
+    const extra = [...match[3].matchAll(/(?:e|-)(\d{1,4})/gi)].map((m) =>
+      toInt(m[1]),
+    );
+    return toEpisodeRange(toInt(match[1]), toInt(match[2]), extra);
+  }
+
+  match = name.match(NXNN_REGEX);
+  if (match) {
+    const extra = match[3] ? [toInt(match[3])] : [];
+    return toEpisodeRange(toInt(match[1]), toInt(match[2]), extra);
+  }
+
+  match = name.match(VERBOSE_REGEX);
+  if (match) {
+    const extra = match[3] ? [toInt(match[3])] : [];
+    return toEpisodeRange(toInt(match[1]), toInt(match[2]), extra);
+  }
+
+  match = name.match(SPECIAL_REGEX);
+  if (match) return toEpisodeRange(0, toInt(match[1]));
+
+  match = name.match(EPISODE_ONLY_REGEX);
+  if (match) {
+    const extra = match[2] ? [toInt(match[2])] : [];
+    return toEpisodeRange(null, toInt(match[1]), extra);
+  }
+
+  match = name.match(SEASON_ONLY_REGEX);
+  if (match) {
+    return {
+      season: toInt(match[1] || match[2]),
+      firstEpisode: null,
+      lastEpisode: null,
+    };
+  }
+
+  const absolute = findAbsoluteEpisode(name);
+  return absolute === null ? null : toEpisodeRange(null, absolute);
+}
+
+/**
+ * Parse an archive entry path: the file name first, its folders when the
+ * file name has no episode ("S01E03/English.srt") or no season
+ * ("Season 3/05.srt")
+ */
+function extractEntryEpisode(entryPath) {
+  const segments = entryPath.split(/[\\/]/);
+  const fromName = extractSeasonEpisode(segments.pop());
+  const fromFolders = extractSeasonEpisode(segments.join("/"));
+
+  if (fromName && fromName.firstEpisode !== null) {
+    // "Season 3/05.srt": the season comes from the folder
+    if (fromName.season === null && fromFolders) {
+      return { ...fromName, season: fromFolders.season };
+    }
+    return fromName;
+  }
+  if (fromFolders && fromFolders.firstEpisode !== null) return fromFolders;
+  return fromName || fromFolders;
+}
+
+/**
+ * Check if a text (file path or title) covers a specific episode.
+ * Multi-episode files match every episode in their range; text without a
+ * season (anime style) takes defaultSeason, or matches on the episode number
+ * alone without one. For archive entries use matchesItemEpisode, which
+ * builds on this with the subs.ro item's metadata.
  * @param {string} text - Text to search in (title, description, filename)
  * @param {number} season - Season number
  * @param {number} episode - Episode number
+ * @param {number|null} [defaultSeason] - Season of text without one
  * @returns {boolean}
  */
-function matchesEpisode(text, season, episode) {
+function matchesEpisode(text, season, episode, defaultSeason = null) {
   if (!text || episode === undefined || episode === null) return false;
 
-  const normalizedText = text.toLowerCase();
+  const parsed = extractEntryEpisode(text);
+  if (!parsed || parsed.firstEpisode === null) return false;
 
-  // Fast Path: If no season/episode indicator at all, easy fail
-  if (!SEASON_INDICATOR_REGEX.test(normalizedText) && !/\d/.test(text)) {
-    return false;
-  }
+  const ep = Number(episode);
+  if (ep < parsed.firstEpisode || ep > parsed.lastEpisode) return false;
+  const textSeason = parsed.season ?? defaultSeason;
+  return textSeason === null || textSeason === Number(season);
+}
 
-  const s = String(season).padStart(2, "0");
-  const e = String(episode).padStart(2, "0");
-  const sShort = String(season);
-  const eShort = String(episode);
-
-  const hasSeasonInText = SEASON_INDICATOR_REGEX.test(normalizedText);
-
-  if (hasSeasonInText) {
-    // TEXT HAS SEASON: Require exact season+episode match
-    // Only compile dynamic regexes (fast enough for single request checks)
-
-    // S01E05 / S1E5 / 1x05 patterns
-    const standardPatterns = [
-      `s${s}e${e}\\b`,
-      `s${sShort}e${eShort}\\b`,
-      `s${s}e${eShort}\\b`,
-      `s${sShort}e${e}\\b`,
-      `\\b${sShort}x${e}\\b`,
-      `\\b${sShort}x${eShort}\\b`,
-      `\\b${s}x${e}\\b`,
-    ];
-
-    // Check standard patterns first (faster)
-    for (const pat of standardPatterns) {
-      if (new RegExp(pat, "i").test(normalizedText)) return true;
-    }
+// Years in file names and titles (1999, 2004)
+const YEAR_REGEX = /(?<!\d)(?:19|20)\d{2}(?!\d)/g;
 
-    // Check verbose multi-language patterns
-    const verbose1 = `${SEASON_KEYWORDS}\\s*${sShort}.*?${EPISODE_KEYWORDS}\\s*${eShort}`;
-    const verbose2 = `${SEASON_KEYWORDS}\\s*${s}.*?${EPISODE_KEYWORDS}\\s*${e}`;
+/**
+ * Season/episode info of a subs.ro item (explicit season field, else the
+ * title: "Show - Sezonul 2", "Show S02E05")
+ * @returns {{ season: number|null, firstEpisode: number|null,
+ *   lastEpisode: number|null }}
+ */
+function getItemEpisodeInfo(item) {
+  const parsed = extractSeasonEpisode(item.title) || {
+    season: null,
+    firstEpisode: null,
+    lastEpisode: null,
+  };
+  const season = parseInt(item.season, 10);
+  return Number.isNaN(season) ? parsed : { ...parsed, season };
+}
 
-    return (
-      new RegExp(verbose1, "i").test(normalizedText) ||
-      new RegExp(verbose2, "i").test(normalizedText)
-    );
-  } else {
-    // TEXT HAS NO SEASON: Allow episode-only match (anime style)
-
-    const epPatterns = [
-      `\\be${e}\\b`,
-      `\\be${eShort}\\b`,
-      `\\bep\\.?\\s*${eShort}\\b`,
-      `\\bep\\.?\\s*${e}\\b`,
-      `\\b${EPISODE_KEYWORDS}\\s*${eShort}\\b`,
-      `\\b${EPISODE_KEYWORDS}\\s*${e}\\b`,
-      `[\\-\\._\\s]${e}[\\-\\._\\s\\[]`,
-    ];
-
-    for (const pat of epPatterns) {
-      if (new RegExp(pat, "i").test(normalizedText)) return true;
-    }
+/**
+ * Release year of a subs.ro item (year field, else a year in the title)
+ * @returns {number|null}
+ */
+function getItemYear(item) {
+  const year = parseInt(item.year, 10);
+  if (!Number.isNaN(year)) return year;
+  const match = (item.title || "").match(YEAR_REGEX);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Check if an archive entry is the requested episode, using the subs.ro
+ * item's metadata where the entry path alone can't tell:
+ * - entries without a season ("Show - 05", "01.srt") take the item's season
+ * - bare-numbered files ("1.srt", "01 - Pilot.srt") count as episodes in a
+ *   season-labelled archive
+ * - an entry without any episode marker belongs to a single-episode item
+ * @param {string} entryPath - Archive entry path
+ * @param {Object} item - subs.ro search item
+ * @returns {boolean}
+ */
+function matchesItemEpisode(entryPath, item, season, episode) {
+  const itemInfo = getItemEpisodeInfo(item);
+  const inRange = (info) =>
+    episode >= info.firstEpisode && episode <= info.lastEpisode;
+
+  const parsed = extractEntryEpisode(entryPath);
+  if (parsed && parsed.firstEpisode !== null) {
+    return matchesEpisode(entryPath, season, episode, itemInfo.season);
+  }
 
-    return false;
+  // Season in the entry path overrides the archive's
+  const entrySeason = parsed ? parsed.season : itemInfo.season;
+  if (entrySeason !== null && entrySeason !== season) return false;
+
+  if (entrySeason !== null) {
+    const name = entryPath.split(/[\\/]/).pop();
+    const bare = name.match(/^(\d{1,3})(?=$|[\s._-])/);
+    if (bare) return parseInt(bare[1], 10) === episode;
   }
+
+  return itemInfo.firstEpisode !== null && inRange(itemInfo);
 }
 
 /**
- * Extract season and episode from various text formats.
- * @param {string} text - Text to parse
- * @returns {{ season: number, episode: number } | null}
+ * Keep the entries of a collection pack (trilogy, box set) that belong to
+ * the requested movie, by release year. Entries without a year are kept;
+ * nothing is dropped unless some entry carries the item's year.
+ * @param {string[]} files - Archive entry paths
+ * @param {Object} item - subs.ro search item
+ * @returns {string[]}
  */
-function extractSeasonEpisode(text) {
-  if (!text) return null;
+function filterMovieEntries(files, item) {
+  const year = getItemYear(item);
+  if (year === null || files.length < 2) return files;
 
-  const patterns = [
-    /s(\d{1,2})e(\d{1,2})/i, // S01E05
-    /(\d{1,2})x(\d{1,2})/i, // 1x05
-    // Universal pattern for Season X Episode Y
-    /(?:season|sezon|stagione|saison|staffel|évad|κύκλος|temporada)\s*(\d+).*?(?:episode|episod|episodio|épisode|folge|epizód|επεισόδιο|episódio)\s*(\d+)/i,
-  ];
+  const yearsOf = (file) =>
+    (file.match(YEAR_REGEX) || []).map((value) => parseInt(value, 10));
+  if (!files.some((file) => yearsOf(file).includes(year))) return files;
 
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match) {
-      return {
-        season: parseInt(match[1], 10),
-        episode: parseInt(match[2], 10),
-      };
-    }
+  return files.filter((file) => {
+    const years = yearsOf(file);
+    return years.length === 0 || years.includes(year);
+  });
+}
+
+/**
+ * Check if a subs.ro upload is for exactly one episode (its title names the
+ * season and episode, e.g. "Show S02E05"), i.e. most likely a single file
+ * @param {string} title - subs.ro item title
+ * @returns {boolean}
+ */
+function isSingleEpisodeTitle(title, season, episode) {
+  const parsed = extractSeasonEpisode(title);
+  return (
+    parsed !== null &&
+    parsed.season === season &&
+    parsed.firstEpisode === episode &&
+    parsed.lastEpisode === episode
+  );
+}
+
+/**
+ * Pick the subtitle file of an archive that best matches a video.
+ * @param {string[]} files - Subtitle entry paths
+ * @param {Object} target
+ * @param {string} [target.filename] - Video file name
+ * @param {number} [target.season] - Series only
+ * @param {number} [target.episode] - Series only
+ * @param {Object} [target.item] - subs.ro item metadata ({ title, season,
+ *   year }), matched along with the paths the same way listing does
+ * @returns {string|null} - Entry path, or null if nothing fits the episode
+ */
+function selectSubtitleFile(
+  files,
+  { filename, season, episode, item = {} } = {},
+) {
+  let candidates;
+  if (episode !== null && episode !== undefined) {
+    candidates = files.filter((file) =>
+      matchesItemEpisode(file, item, season, episode),
+    );
+    // A single-file archive needs no episode marker in its file name
+    if (candidates.length === 0 && files.length === 1) candidates = files;
+  } else {
+    candidates = filterMovieEntries(files, item);
   }
+  if (candidates.length === 0) return null;
 
-  return null;
+  let best = candidates[0];
+  let bestScore = calculateMatchScore(filename, best);
+  for (const file of candidates.slice(1)) {
+    const score = calculateMatchScore(filename, file);
+    if (score > bestScore) {
+      best = file;
+      bestScore = score;
+    }
+  }
+  return best;
 }
 
 module.exports = {
+  parseReleaseName,
   matchesEpisode,
+  matchesItemEpisode,
+  filterMovieEntries,
   calculateMatchScore,
+  isSingleEpisodeTitle,
+  selectSubtitleFile,
+  getFrameRate,
+  detectFpsMismatch,
 };
@@ -0,0 +1,146 @@
+/**
+ * Popularity score of a subs.ro upload, from its search metadata.
+ *
+ * Used only to break ties between equally matched files (see rankCandidates
+ * in addon.js), so the well-known final version of a translation wins over
+ * an obscure early upload. Scoring (0-100):
+ * - Downloads: 0-40, log scale (10,000 downloads = full points)
+ * - Rating: 0-20, weighted by votes (few votes pull it towards the middle)
+ * - Recency: 0-15, halves with every year since the upload
+ * - Translator reputation: 0-25, log scale of the downloads of all the
+ *   translator's uploads in the same search result (20,000 = full points)
+ * Missing fields score 0 (the rating scores the middle of its scale).
+ */
+
+const POPULARITY_WEIGHTS = {
+  downloads: 40,
+  rating: 20,
+  recency: 15,
+  translator: 25,
+};
+const FULL_DOWNLOADS = 10000;
+const FULL_TRANSLATOR_DOWNLOADS = 20000;
+const RATING_SCALE = 10;
+const RATING_PRIOR_VOTES = 5; // Votes it takes to outweigh the prior
+const RECENCY_HALF_LIFE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Accepted field names per signal (camelCase and snake_case)
+const DOWNLOAD_FIELDS = ["downloads", "download_count", "downloadCount"];
+const VOTE_FIELDS = ["votes", "rating_count", "ratingCount"];
+
+let warnedMissing = false;
+
+/**
+ * First numeric field of an item among alternative names
+ */
+function readNumber(item, fields) {
+  for (const field of fields) {
+    const value = parseFloat(item[field]);
+    if (Number.isFinite(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Upload time in ms (ISO string, or a Unix timestamp in s or ms)
+ */
+function readUploadTime(item) {
+  const value =
+    item.uploadDate ?? item.upload_date ?? item.created_at ?? item.date;
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value < 1e12 ? value * 1000 : value;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+const translatorKey = (item) =>
+  typeof item.translator === "string"
+    ? item.translator.trim().toLowerCase()
+    : "";
+
+/**
+ * Share of the full points on a log scale
+ */
+const logShare = (value, full) =>
+  Math.min(1, Math.log10(1 + Math.max(0, value)) / Math.log10(1 + full));
+
+/**
+ * Total downloads per translator across a search result (each upload
+ * counted once), for translator reputation
+ * @param {Object[]} items - subs.ro search items
+ * @returns {Map<string, number>} - translator -> downloads
+ */
+function getTranslatorDownloads(items) {
+  const totals = new Map();
+  const seen = new Set();
+  for (const item of items) {
+    const translator = translatorKey(item);
+    const downloads = readNumber(item, DOWNLOAD_FIELDS);
+    if (!translator || downloads === null || seen.has(item.id)) continue;
+    seen.add(item.id);
+    totals.set(translator, (totals.get(translator) || 0) + downloads);
+  }
+  return totals;
+}
+
+/**
+ * Popularity score of a subs.ro item (see the weights above)
+ * @param {Object} item - subs.ro search item
+ * @param {Map<string, number>} [translatorDownloads] - From
+ *   getTranslatorDownloads over the item's search result
+ * @returns {number} - Score (0-100)
+ */
+function getPopularityScore(item, translatorDownloads = new Map()) {
+  let score = 0;
+
+  const downloads = readNumber(item, DOWNLOAD_FIELDS);
+  if (downloads !== null) {
+    score += POPULARITY_WEIGHTS.downloads * logShare(downloads, FULL_DOWNLOADS);
+  }
+
+  const rating = readNumber(item, ["rating"]);
+  const votes = readNumber(item, VOTE_FIELDS);
+  const prior = RATING_SCALE / 2;
+  const weighted =
+    rating === null
+      ? prior
+      : (rating * (votes ?? 1) + prior * RATING_PRIOR_VOTES) /
+        ((votes ?? 1) + RATING_PRIOR_VOTES);
+  score +=
+    POPULARITY_WEIGHTS.rating *
+    Math.min(1, Math.max(0, weighted / RATING_SCALE));
+
+  const uploadTime = readUploadTime(item);
+  if (uploadTime !== null) {
+    const age = Math.max(0, Date.now() - uploadTime);
+    score += POPULARITY_WEIGHTS.recency * 0.5 ** (age / RECENCY_HALF_LIFE_MS);
+  }
+
+  score +=
+    POPULARITY_WEIGHTS.translator *
+    logShare(
+      translatorDownloads.get(translatorKey(item)) || 0,
+      FULL_TRANSLATOR_DOWNLOADS,
+    );
+
+  // Otherwise every item silently ties at the rating prior
+  if (
+    !warnedMissing &&
+    downloads === null &&
+    rating === null &&
+    uploadTime === null
+  ) {
+    warnedMissing = true;
+    console.warn(
+      `[Popularity] Search item ${item.id} has no download, rating or date field (fields: ${Object.keys(item).join(", ")})`,
+    );
+  }
+
+  return Math.round(score);
+}
+
+module.exports = {
+  POPULARITY_WEIGHTS,
+  getTranslatorDownloads,
+  getPopularityScore,
+};
@@ -1,147 +1,473 @@
 const express = require("express");
-const iconv = require("iconv-lite");
-const jschardet = require("jschardet");
+const path = require("path");
 const {
+  AUTO_SRT_PATH,
   extractSrtFile,
-  getArchiveType,
-  listSrtFiles,
+  isSubtitleFile,
 } = require("./archiveUtils");
-const { getLimiter } = require("./rateLimiter");
-const { ARCHIVE_CACHE } = require("./archiveCache");
+const { fetchArchive } = require("./archiveCache");
+const { PRIORITY } = require("./rateLimiter");
+const {
+  MAX_OFFSET_MS,
+  parseSubtitle,
+  retimeCues,
+  cuesToVtt,
+  cuesToSrt,
+  isValidFps,
+} = require("./subtitleParser");
+const { normalizeRomanian } = require("./diacritics");
+const { detectEncoding } = require("./encoding");
+const { getFrameRate, selectSubtitleFile } = require("./matcher");
+const { Cache } = require("./cache");
+const { createDiskCache } = require("./diskCache");
+const { getSubtitleKey, recordFeedback } = require("./feedback");
+const SubsRoClient = require("./subsro");
 const router = express.Router();
 
-// LRU-limited VTT cache
-const VTT_CACHE_MAX_SIZE = 100;
-const VTT_TTL = 12 * 60 * 60 * 1000; // 12 hours
-const _vttStore = new Map();
-const _vttOrder = [];
-
-function getVtt(key) {
-  const item = _vttStore.get(key);
-  if (!item) return null;
-  if (Date.now() - item.timestamp > VTT_TTL) {
-    deleteVtt(key);
-    return null;
+// Converted subtitles (VTT and SRT), backed by the optional disk tier
+// where the converted text is the payload and the rest is metadata
+const VTT_CACHE = new Cache({
+  name: "subtitles",
+  maxBytes: 16 * 1024 * 1024,
+  ttl: 12 * 60 * 60 * 1000, // 12 hours
+  disk: {
+    store: createDiskCache("subtitles", 0.25), // null when disabled
+    serialize: ({ body, ...meta }) => ({
+      data: Buffer.from(body, "utf-8"),
+      meta,
+    }),
+    deserialize: ({ data, meta }) => ({
+      ...meta,
+      body: data.toString("utf-8"),
+    }),
+  },
+});
+
+/**
+ * Parse the timing query params of the proxy route.
+ * - fps: video frame rate, used by frame-based formats (MicroDVD)
+ * - offset: shift in milliseconds (negative = earlier)
+ * - sourceFps + targetFps: rescale timings from one frame rate to another
+ * @returns {{ fps, offset, sourceFps, targetFps } | { error: string }}
+ */
+function parseTimingParams(query) {
+  const parseFps = (value) => (value ? parseFloat(value) : null);
+
+  const fps = parseFps(query.fps);
+  if (fps !== null && !isValidFps(fps)) {
+    return { error: "Invalid frame rate" };
   }
-  // Move to end (most recently used)
-  const idx = _vttOrder.indexOf(key);
-  if (idx > -1) {
-    _vttOrder.splice(idx, 1);
-    _vttOrder.push(key);
+
+  let offset = 0;
+  if (query.offset) {
+    if (!/^-?\d+$/.test(query.offset)) return { error: "Invalid offset" };
+    offset = parseInt(query.offset, 10);
+    if (Math.abs(offset) > MAX_OFFSET_MS) {
+      return { error: "Offset out of range" };
+    }
   }
-  return item;
+
+  const sourceFps = parseFps(query.sourceFps);
+  const targetFps = parseFps(query.targetFps);
+  if (sourceFps !== null || targetFps !== null) {
+    if (!isValidFps(sourceFps) || !isValidFps(targetFps)) {
+      return { error: "Invalid frame rate conversion" };
+    }
+  }
+
+  return { fps, offset, sourceFps, targetFps };
+}
+
+// Converted output formats served by the proxy
+const OUTPUT_FORMATS = {
+  vtt: {
+    contentType: "text/vtt; charset=utf-8",
+    extension: ".vtt",
+    serialize: cuesToVtt,
+  },
+  srt: {
+    contentType: "application/x-subrip; charset=utf-8",
+    extension: ".srt",
+    serialize: cuesToSrt,
+  },
+};
+
+// Longest encoded entry path a sync vote is stored for
+const MAX_FEEDBACK_PATH_LENGTH = 1024;
+
+// Content types for untouched original files (charset unknown)
+const RAW_CONTENT_TYPES = {
+  ".srt": "application/x-subrip",
+  ".ass": "text/x-ssa",
+  ".ssa": "text/x-ssa",
+  ".sub": "text/plain",
+};
+
+/**
+ * Build a Content-Disposition header with an ASCII fallback filename
+ * and the UTF-8 original (RFC 6266)
+ */
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(
+    filename,
+  )}`;
 }
 
-function setVtt(key, value) {
-  if (_vttStore.has(key)) {
-    const idx = _vttOrder.indexOf(key);
-    if (idx > -1) _vttOrder.splice(idx, 1);
+/**
+ * Get the file name (without folders) of an archive entry
+ */
+function entryBasename(srtPath) {
+  return path.posix.basename(srtPath.replace(/\\/g, "/"));
+}
+
+/**
+ * Validate the shared route params
+ * srtPath is null for lazily listed entries (AUTO_SRT_PATH)
+ * @returns {{ subId, encodedSrtPath, srtPath } | { error: string }}
+ */
+function parseRouteParams(params) {
+  const { subId, encodedSrtPath } = params;
+
+  if (!/^\d+$/.test(subId)) {
+    return { error: "Invalid subtitle ID" };
+  }
+
+  if (encodedSrtPath === AUTO_SRT_PATH) {
+    return { subId, encodedSrtPath, srtPath: null };
   }
-  while (_vttOrder.length >= VTT_CACHE_MAX_SIZE) {
-    const oldestKey = _vttOrder.shift();
-    _vttStore.delete(oldestKey);
+
+  let srtPath = "";
+  try {
+    srtPath = Buffer.from(encodedSrtPath, "base64url").toString("utf-8");
+  } catch (e) {
+    return { error: "Invalid SRT path encoding" };
   }
-  _vttStore.set(key, { ...value, timestamp: Date.now() });
-  _vttOrder.push(key);
+
+  return { subId, encodedSrtPath, srtPath };
 }
 
-function deleteVtt(key) {
-  _vttStore.delete(key);
-  const idx = _vttOrder.indexOf(key);
-  if (idx > -1) _vttOrder.splice(idx, 1);
+/**
+ * Parse the query params of lazily listed entries: the video to pick the
+ * file inside the archive for, and the subs.ro item's metadata (title,
+ * season, year) so the pick agrees with how the entry was listed
+ * @returns {{ filename: string, season: number|null, episode: number|null,
+ *   item: { title: string, season: number|null, year: number|null } }}
+ */
+function parseAutoParams(query) {
+  const parseNumber = (value) =>
+    /^\d{1,4}$/.test(value || "") ? parseInt(value, 10) : null;
+  const parseText = (value) =>
+    typeof value === "string" ? value.slice(0, 500) : "";
+
+  return {
+    filename: parseText(query.filename),
+    season: parseNumber(query.season),
+    episode: parseNumber(query.episode),
+    item: {
+      title: parseText(query.title),
+      season: parseNumber(query.itemSeason),
+      year: parseNumber(query.itemYear),
+    },
+  };
 }
 
-// Route: /:apiKey/proxy/:subId/:encodedSrtPath/sub.vtt
-router.get(
-  "/:apiKey/proxy/:subId/:encodedSrtPath/sub.vtt",
-  async (req, res) => {
-    const { apiKey, subId, encodedSrtPath } = req.params;
+/**
+ * AbortSignal that fires if the client disconnects before the response is sent
+ */
+function clientAbortSignal(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Extract the original subtitle file from its archive
+ * (a user is waiting on it, so the download takes the interactive lane)
+ * @param {string|null} srtPath - Entry path, or null to pick the best match
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Client disconnect
+ * @param {Object} [options.match] - Video to pick for (see parseAutoParams)
+ * @returns {Promise<{ srtPath: string|null, content: Buffer|null }>} -
+ *   content is null if the file is not in the archive
+ */
+async function loadSubtitleFile(
+  apiKey,
+  subId,
+  srtPath,
+  { signal, match } = {},
+) {
+  const { buffer, archiveType, srtFiles } = await fetchArchive(apiKey, subId, {
+    priority: PRIORITY.INTERACTIVE,
+    signal,
+  });
+
+  const entryPath = srtPath ?? selectSubtitleFile(srtFiles, match);
+  if (!entryPath) return { srtPath: null, content: null };
+
+  if (process.env.NODE_ENV === "development") {
+    console.log(
+      `[PROXY] Extracting "${entryPath}"${
+        srtPath ? "" : " (auto)"
+      } from ${archiveType.toUpperCase()} archive`,
+    );
+  }
+
+  return {
+    srtPath: entryPath,
+    content: await extractSrtFile(buffer, entryPath),
+  };
+}
 
-    if (!/^\d+$/.test(subId)) {
-      return res.status(400).send("Invalid subtitle ID");
+/**
+ * Send an upstream/unknown error as the proxy response
+ */
+function sendProxyError(res, error) {
+  // Client disconnected, nobody to answer
+  if (error.code === "ERR_CANCELED") return;
+
+  // Rate limiter circuit breaker: the key is temporarily rejected by subs.ro
+  if (error.code === "CIRCUIT_OPEN") {
+    res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+    return res.status(503).send("Subtitle service temporarily unavailable");
+  }
+  res
+    .status(error.response?.status || 500)
+    .send(error.response?.data || "Proxy error");
+}
+
+/**
+ * Handler factory for converted output (sub.vtt, sub.srt)
+ */
+function convertedHandler(formatName) {
+  const output = OUTPUT_FORMATS[formatName];
+
+  return async (req, res) => {
+    const { apiKey } = req.params;
+    const route = parseRouteParams(req.params);
+    if (route.error) {
+      return res.status(400).send(route.error);
     }
+    const { subId, encodedSrtPath } = route;
+    const match = route.srtPath ? null : parseAutoParams(req.query);
 
-    let srtPath = "";
-    try {
-      srtPath = Buffer.from(encodedSrtPath, "base64url").toString("utf-8");
-    } catch (e) {
-      return res.status(400).send("Invalid SRT path encoding");
+    const timing = parseTimingParams(req.query);
+    if (timing.error) {
+      return res.status(400).send(timing.error);
     }
+    const { fps, offset, sourceFps, targetFps } = timing;
+    // Romanian diacritics normalization (opt-in per URL, set by the addon)
+    const normalize = req.query.normalize === "1";
 
-    const vttCacheKey = `${subId}_${encodedSrtPath}`;
-    const cachedVtt = getVtt(vttCacheKey);
-    if (cachedVtt) {
+    const sendOutput = (body, repaired, srtPath) => {
+      const filename = entryBasename(srtPath).replace(/\.[^.]+$/, "");
       res.set("Access-Control-Allow-Origin", "*");
-      res.set("Content-Type", "text/vtt; charset=utf-8");
+      res.set("Content-Type", output.contentType);
+      res.set(
+        "Content-Disposition",
+        contentDisposition("inline", `${filename}${output.extension}`),
+      );
       res.set("Cache-Control", "public, max-age=43200");
-      return res.send(cachedVtt.vtt);
+      res.set("X-Repaired-Cues", String(repaired || 0));
+      // Web clients can only read custom headers that are exposed
+      res.set("Access-Control-Expose-Headers", "X-Repaired-Cues");
+      res.send(body);
+    };
+
+    // Every format/timing/normalization variant is cached separately
+    const vttCacheKey = [
+      formatName,
+      subId,
+      encodedSrtPath,
+      fps || "",
+      offset,
+      sourceFps ? `${sourceFps}-${targetFps}` : "",
+      normalize ? "n" : "",
+      match
+        ? [
+            match.filename,
+            match.season,
+            match.episode,
+            match.item.title,
+            match.item.season,
+            match.item.year,
+          ].join("|")
+        : "",
+    ].join("_");
+    const cachedVtt = VTT_CACHE.get(vttCacheKey);
+    if (cachedVtt) {
+      // Entries cached before lazy listing existed carry no srtPath
+      const cachedPath = cachedVtt.srtPath || route.srtPath;
+      return sendOutput(cachedVtt.body, cachedVtt.repaired, cachedPath);
     }
 
     try {
-      let archiveBuffer;
-      let archiveType;
-      const cacheKey = `archive_${subId}`;
-      const cachedArchive = ARCHIVE_CACHE.get(cacheKey);
-
-      if (cachedArchive && cachedArchive.buffer) {
-        archiveBuffer = cachedArchive.buffer;
-        archiveType = cachedArchive.archiveType;
-      } else {
-        const downloadUrl = `https://api.subs.ro/v1.0/subtitle/${subId}/download`;
-        const limiter = getLimiter(apiKey);
-        archiveBuffer = await limiter.downloadArchive(downloadUrl, {
-          headers: { "X-Subs-Api-Key": apiKey },
-        });
-        archiveType = getArchiveType(archiveBuffer);
-        const srtFiles = await listSrtFiles(archiveBuffer);
-
-        ARCHIVE_CACHE.set(cacheKey, {
-          buffer: archiveBuffer,
-          archiveType,
-          srtFiles,
-        });
+      const { srtPath, content: contentBuffer } = await loadSubtitleFile(
+        apiKey,
+        subId,
+        route.srtPath,
+        { signal: clientAbortSignal(res), match },
+      );
+
+      if (!contentBuffer) {
+        return res.status(404).send("SRT file not found in archive");
       }
 
+      const detected = detectEncoding(contentBuffer);
+      let text = detected.text;
+
       if (process.env.NODE_ENV === "development") {
         console.log(
-          `[PROXY] Extracting "${srtPath}" from ${archiveType.toUpperCase()} archive`,
+          `[PROXY] Encoding of "${srtPath}": ${detected.encoding} (score ${detected.score})`,
         );
       }
 
-      const contentBuffer = await extractSrtFile(archiveBuffer, srtPath);
-
-      if (!contentBuffer) {
-        return res.status(404).send("SRT file not found in archive");
+      if (normalize) {
+        const normalized = normalizeRomanian(text);
+        text = normalized.text;
+        if (normalized.repaired > 0 && process.env.NODE_ENV === "development") {
+          console.log(
+            `[PROXY] Repaired ${normalized.repaired} mojibake sequences in "${srtPath}"`,
+          );
+        }
       }
 
-      const detected = jschardet.detect(contentBuffer);
-      let encoding = detected.encoding || "utf-8";
-      if (
-        encoding.toLowerCase().includes("windows-1252") ||
-        detected.confidence < 0.8
-      ) {
-        encoding = "windows-1250";
+      // Lazy entries don't know the file type up front, so the frame rate
+      // for frame-based formats comes from the video filename here
+      const videoFps = fps || (match ? getFrameRate(match.filename) : null);
+      const { format, cues, repaired } = parseSubtitle(text, srtPath, {
+        fps: videoFps,
+      });
+      const body = output.serialize(
+        retimeCues(cues, { offset, sourceFps, targetFps }),
+      );
+
+      if (process.env.NODE_ENV === "development") {
+        console.log(
+          `[PROXY] Converted ${format.toUpperCase()} "${srtPath}" to ${formatName.toUpperCase()}: ${
+            cues.length
+          } cues (${repaired} repaired)`,
+        );
       }
 
-      let contentStr = iconv.decode(contentBuffer, encoding);
-      contentStr =
-        "WEBVTT\n\n" +
-        contentStr
-          .replace(/\r\n/g, "\n")
-          .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, "$1.$2")
-          .replace(/\{\\an\d+\}/gi, ""); // Strip ASS/SSA positioning tags
+      VTT_CACHE.set(vttCacheKey, { body, repaired, srtPath });
+      sendOutput(body, repaired, srtPath);
+    } catch (error) {
+      sendProxyError(res, error);
+    }
+  };
+}
 
-      setVtt(vttCacheKey, { vtt: contentStr });
+// Route: /:apiKey/proxy/:subId/:encodedSrtPath/sub.vtt
+router.get(
+  "/:apiKey/proxy/:subId/:encodedSrtPath/sub.vtt",
+  convertedHandler("vtt"),
+);
 
-      res.set("Access-Control-Allow-Origin", "*");
-      res.set("Content-Type", "text/vtt; charset=utf-8");
-      res.set("Cache-Control", "public, max-age=43200");
-      res.send(contentStr);
-    } catch (error) {
-      res
-        .status(error.response?.status || 500)
-        .send(error.response?.data || "Proxy error");
+// Route: /:apiKey/proxy/:subId/:encodedSrtPath/sub.srt
+router.get(
+  "/:apiKey/proxy/:subId/:encodedSrtPath/sub.srt",
+  convertedHandler("srt"),
+);
+
+// Route: /:apiKey/proxy/:subId/:encodedSrtPath/raw (original file, as a download)
+router.get("/:apiKey/proxy/:subId/:encodedSrtPath/raw", async (req, res) => {
+  const { apiKey } = req.params;
+  const route = parseRouteParams(req.params);
+  if (route.error) {
+    return res.status(400).send(route.error);
+  }
+  const { subId } = route;
+  const match = route.srtPath ? null : parseAutoParams(req.query);
+
+  try {
+    const { srtPath, content: contentBuffer } = await loadSubtitleFile(
+      apiKey,
+      subId,
+      route.srtPath,
+      { signal: clientAbortSignal(res), match },
+    );
+
+    if (!contentBuffer) {
+      return res.status(404).send("SRT file not found in archive");
+    }
+
+    const filename = entryBasename(srtPath);
+    const extension = path.extname(filename).toLowerCase();
+
+    res.set("Access-Control-Allow-Origin", "*");
+    // setHeader, not res.set: Express appends "; charset=utf-8" to text/*
+    // types, which would mislabel windows-1250 / ISO-8859-x originals
+    res.setHeader(
+      "Content-Type",
+      RAW_CONTENT_TYPES[extension] || "application/octet-stream",
+    );
+    res.set("Content-Disposition", contentDisposition("attachment", filename));
+    res.set("Cache-Control", "public, max-age=43200");
+    res.send(contentBuffer);
+  } catch (error) {
+    sendProxyError(res, error);
+  }
+});
+
+// Route: /:apiKey/proxy/:subId/:encodedSrtPath/feedback
+// Marks a served subtitle as in sync (sync=1) or out of sync (sync=0) for a
+// video (videoHash and/or filename), from the query string or a JSON body,
+// along with the subtitle URL's timing params (sourceFps, targetFps, offset).
+// Only keys subs.ro accepts can vote (one vote per key); a key not seen
+// since startup is checked with a quota call.
+router.post(
+  "/:apiKey/proxy/:subId/:encodedSrtPath/feedback",
+  express.json({ limit: "4kb" }),
+  async (req, res) => {
+    const { apiKey } = req.params;
+    const route = parseRouteParams(req.params);
+    if (route.error) {
+      return res.status(400).send(route.error);
+    }
+    // Only keys that can name a served file (they're stored per video)
+    if (
+      route.srtPath !== null &&
+      (route.encodedSrtPath.length > MAX_FEEDBACK_PATH_LENGTH ||
+        !isSubtitleFile(route.srtPath))
+    ) {
+      return res.status(400).send("Not a subtitle file");
+    }
+
+    const params = { ...req.query, ...req.body };
+    const { sync, videoHash, filename } = params;
+    const inSync = ["1", "true"].includes(String(sync));
+    if (!inSync && !["0", "false"].includes(String(sync))) {
+      return res.status(400).send("Invalid sync vote");
+    }
+    // The subtitle URL's timing params pick the variant voted on
+    const timing = parseTimingParams(params);
+    if (timing.error) {
+      return res.status(400).send(timing.error);
     }
+
+    if (!SubsRoClient.isKnownKey(apiKey)) {
+      const { valid } = await new SubsRoClient(apiKey).validate();
+      if (!valid) {
+        return res.status(403).send("Invalid API key");
+      }
+    }
+
+    const recorded = recordFeedback({
+      apiKey,
+      subtitleKey: getSubtitleKey(route.subId, route.encodedSrtPath, timing),
+      inSync,
+      videoHash,
+      filename,
+    });
+    if (!recorded) {
+      return res.status(400).send("Missing videoHash or filename");
+    }
+
+    res.set("Access-Control-Allow-Origin", "*");
+    res.status(204).end();
   },
 );
 
@@ -1,11 +1,23 @@
 /**
  * @name Subs.ro Rate Limiter
- * @description Per-user rate limiting with centralized tick loop for high scalability.
- * Each API key gets its own isolated limiter, but tick intervals are managed globally
- * to prevent event loop lag with thousands of active users.
+ * @description Per-user rate limiting with a central event-driven scheduler.
+ * Each API key gets its own isolated limiter, but timers are managed globally
+ * (one at most) to prevent event loop lag with thousands of active users.
+ * A limiter is only processed when it has work: on enqueue, when one of its
+ * requests completes, when a global download slot frees up, or when its
+ * next pacing slot opens.
  *
  * Search: 1 request/second (sequential)
  * Download: Up to 3 concurrent requests with 200ms stagger
+ *
+ * A 429 pauses both queues of the key for the advertised Retry-After and
+ * requeues the request. Repeated 401/429 responses open a per-key circuit
+ * breaker: new and queued requests fail fast until a cooldown has passed,
+ * then a single probe request decides whether to close it again.
+ *
+ * Downloads run in priority lanes (interactive proxy fetches before archive
+ * listing, listing before prefetch) and can be cancelled with an AbortSignal
+ * while still queued.
  */
 
 const axios = require("axios");
@@ -13,6 +25,52 @@ const axios = require("axios");
 // Timestamp helper
 const ts = () => new Date().toISOString().slice(11, 23);
 
+const DEFAULT_RETRY_AFTER_MS = 5000; // 429 without Retry-After
+const MAX_RETRY_AFTER_MS = 10 * 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+const BREAKER_THRESHOLD = 3; // Consecutive 401/429 responses
+const BREAKER_COOLDOWN_MS = 60 * 1000;
+
+// Download priority lanes (lower runs first)
+const PRIORITY = {
+  INTERACTIVE: 0, // Proxy request of a user who pressed play
+  LISTING: 1, // Archive listing for the subtitles handler
+  PREFETCH: 2, // Background cache warming
+};
+
+const BREAKER_STATE = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+/**
+ * Error for a request cancelled through its AbortSignal (axios convention)
+ */
+function createCancelError() {
+  const error = new Error("Request cancelled");
+  error.code = "ERR_CANCELED";
+  return error;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @returns {number} - Delay in milliseconds, clamped to MAX_RETRY_AFTER_MS
+ */
+function parseRetryAfter(value) {
+  if (!value) return DEFAULT_RETRY_AFTER_MS;
+
+  let delay;
+  if (/^\s*\d+\s*$/.test(value)) {
+    delay = parseInt(value, 10) * 1000;
+  } else {
+    const date = Date.parse(value);
+    delay = Number.isNaN(date) ? DEFAULT_RETRY_AFTER_MS : date - Date.now();
+  }
+  return Math.min(Math.max(delay, 0), MAX_RETRY_AFTER_MS);
+}
+
 class SubsRoRateLimiter {
   constructor(apiKey) {
     this.apiKey = apiKey;
@@ -36,89 +94,305 @@ class SubsRoRateLimiter {
 
     this.timeout = 30000;
     this.maxRetries = 2;
+
+    // Backoff after 429 (both queues wait until then)
+    this.pausedUntil = 0;
+
+    this.breaker = {
+      state: BREAKER_STATE.CLOSED,
+      failures: 0, // Consecutive 401/429 responses
+      openedUntil: 0,
+      probing: false, // A half-open probe request is in flight
+    };
   }
 
-  // NOTE: Intervals are no longer managed here to avoid 1000s of timers
+  // NOTE: No timers here either, the manager schedules all limiters
 
+  /**
+   * Queue a search-lane request (paced at 1/sec)
+   * @param {string} url
+   * @param {Object} [options] - axios options, plus:
+   * @param {number} [options.priority] - PRIORITY lane (default: INTERACTIVE;
+   *   PREFETCH for background calls like the quota refresh, which then wait
+   *   behind the user's searches)
+   */
   async searchRequest(url, options = {}) {
+    const { priority = PRIORITY.INTERACTIVE, ...axiosOptions } = options;
     this.lastUsed = Date.now();
+    this.checkBreaker();
     return new Promise((resolve, reject) => {
-      this.queues.search.queue.push({
+      const { queue } = this.queues.search;
+      const request = {
         url,
-        options,
+        options: axiosOptions,
         resolve,
         reject,
         retries: 0,
-      });
+        priority,
+      };
+      const idx = queue.findIndex((queued) => queued.priority > priority);
+      if (idx === -1) queue.push(request);
+      else queue.splice(idx, 0, request);
+      this.wake();
     });
   }
 
+  /**
+   * Queue an archive download
+   * @param {string} url
+   * @param {Object} [options] - axios options, plus:
+   * @param {number} [options.priority] - PRIORITY lane (default: LISTING)
+   * @param {AbortSignal} [options.signal] - Cancels the request while queued
+   *   (a download already in flight completes so its quota isn't wasted)
+   */
   async downloadArchive(url, options = {}) {
+    const { priority = PRIORITY.LISTING, signal, ...axiosOptions } = options;
     this.lastUsed = Date.now();
+    this.checkBreaker();
+    if (signal?.aborted) throw createCancelError();
+
     return new Promise((resolve, reject) => {
-      this.queues.download.queue.push({
+      const request = {
         url,
-        options: { ...options, responseType: "arraybuffer" },
+        options: { ...axiosOptions, responseType: "arraybuffer" },
         resolve,
         reject,
         retries: 0,
-      });
+        priority,
+      };
+
+      if (signal) {
+        signal.addEventListener(
+          "abort",
+          () => {
+            if (this.removeQueuedDownload(request)) {
+              reject(createCancelError());
+            }
+          },
+          { once: true },
+        );
+      }
+
+      this.enqueueDownload(request);
+      this.wake();
     });
   }
 
   /**
-   * Called by the central manager tick loop
+   * Insert behind queued requests of the same or a higher priority
+   */
+  enqueueDownload(request) {
+    const { queue } = this.queues.download;
+    const idx = queue.findIndex((queued) => queued.priority > request.priority);
+    if (idx === -1) queue.push(request);
+    else queue.splice(idx, 0, request);
+  }
+
+  removeQueuedDownload(request) {
+    const { queue } = this.queues.download;
+    const idx = queue.indexOf(request);
+    if (idx === -1) return false;
+    queue.splice(idx, 1);
+    return true;
+  }
+
+  /**
+   * Move a queued download to a higher priority lane (e.g. a user pressed
+   * play on a subtitle whose archive is still queued for listing)
+   */
+  promoteDownload(url, priority) {
+    const request = this.queues.download.queue.find(
+      (queued) => queued.url === url,
+    );
+    if (!request || request.priority <= priority) return;
+    this.removeQueuedDownload(request);
+    request.priority = priority;
+    this.enqueueDownload(request);
+  }
+
+  /**
+   * Move a queued download to a lower priority lane (e.g. listing work that
+   * went on past the response deadline only warms the cache now)
+   */
+  demoteDownload(url, priority) {
+    const request = this.queues.download.queue.find(
+      (queued) => queued.url === url,
+    );
+    if (!request || request.priority >= priority) return;
+    this.removeQueuedDownload(request);
+    request.priority = priority;
+    this.enqueueDownload(request);
+  }
+
+  /**
+   * Ask the manager to process this limiter's queues
    */
-  processTick() {
-    this.processSearchQueue();
-    this.processDownloadQueue();
+  wake() {
+    if (this.manager) this.manager.wake(this);
+  }
+
+  /**
+   * Start whatever the queues allow right now (called by the manager)
+   * @returns {number|null} - When to run again (timestamp), or null to wait
+   *   for an event (enqueue, request completion, global slot release)
+   */
+  pump() {
+    const now = Date.now();
+    if (now < this.pausedUntil) return this.pausedUntil;
+
+    const wakeTimes = [
+      this.processSearchQueue(now),
+      this.processDownloadQueue(now),
+    ].filter((time) => time !== null);
+    return wakeTimes.length > 0 ? Math.min(...wakeTimes) : null;
+  }
+
+  /**
+   * Throw if the circuit breaker is open (moves to half-open after cooldown)
+   */
+  checkBreaker() {
+    const { breaker } = this;
+    if (breaker.state !== BREAKER_STATE.OPEN) return;
+
+    const remaining = breaker.openedUntil - Date.now();
+    if (remaining > 0) {
+      throw this.createBreakerError(remaining);
+    }
+    breaker.state = BREAKER_STATE.HALF_OPEN;
+    breaker.probing = false;
+  }
+
+  createBreakerError(retryAfterMs) {
+    const error = new Error(
+      `Circuit open for key ${this.apiKey.slice(0, 8)}... (subs.ro rejected repeated requests)`,
+    );
+    error.code = "CIRCUIT_OPEN";
+    error.retryAfterMs = retryAfterMs;
+    return error;
+  }
+
+  /**
+   * Half-open lets a single probe request through; the rest stay queued
+   * @returns {boolean} - Whether a request may start now
+   */
+  acquireBreakerPass() {
+    const { breaker } = this;
+    if (breaker.state === BREAKER_STATE.CLOSED) return true;
+    if (breaker.state === BREAKER_STATE.HALF_OPEN && !breaker.probing) {
+      breaker.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    const { breaker } = this;
+    if (breaker.state !== BREAKER_STATE.CLOSED) {
+      console.warn(`[${ts()}] [${this.apiKey.slice(0, 8)}] Circuit closed`);
+    }
+    breaker.state = BREAKER_STATE.CLOSED;
+    breaker.failures = 0;
+    breaker.probing = false;
+  }
+
+  /**
+   * Count a 401/429; opens the breaker at the threshold (or on a failed probe)
+   * @param {number} [cooldownMs] - Minimum time to stay open (e.g. Retry-After)
+   */
+  recordRejection(cooldownMs = 0) {
+    const { breaker } = this;
+    breaker.failures++;
+    breaker.probing = false;
+
+    if (
+      breaker.state === BREAKER_STATE.HALF_OPEN ||
+      breaker.failures >= BREAKER_THRESHOLD
+    ) {
+      this.openBreaker(Math.max(BREAKER_COOLDOWN_MS, cooldownMs));
+    }
+  }
+
+  /**
+   * Open the breaker and fail every queued request
+   */
+  openBreaker(cooldownMs) {
+    const { breaker } = this;
+    breaker.state = BREAKER_STATE.OPEN;
+    breaker.openedUntil = Date.now() + cooldownMs;
+
+    console.error(
+      `[${ts()}] [${this.apiKey.slice(0, 8)}] Circuit open for ${Math.round(
+        cooldownMs / 1000,
+      )}s after ${breaker.failures} rejected requests`,
+    );
+
+    const error = this.createBreakerError(cooldownMs);
+    for (const name of ["search", "download"]) {
+      const pending = this.queues[name].queue.splice(0);
+      for (const request of pending) request.reject(error);
+    }
   }
 
   /**
    * Process search queue (sequential, 1/sec)
+   * @returns {number|null} - Next pacing slot if a request is waiting for it
    */
-  async processSearchQueue() {
+  processSearchQueue(now) {
     const config = this.queues.search;
-    if (config.queue.length === 0 || config.processing) return;
+    if (config.queue.length === 0 || config.processing) return null;
 
-    const now = Date.now();
-    if (now - config.lastRequest < config.interval) return;
+    const nextSlot = config.lastRequest + config.interval;
+    if (now < nextSlot) return nextSlot;
+    if (!this.acquireBreakerPass()) return null;
 
     config.processing = true;
     config.lastRequest = now;
 
     const request = config.queue.shift();
-    try {
-      await this.executeRequest(request, "SEARCH");
-    } finally {
+    this.executeRequest(request, "SEARCH").finally(() => {
       config.processing = false;
-    }
+      this.wake();
+    });
+    return null;
   }
 
   /**
    * Process download queue (parallel with stagger)
+   * @returns {number|null} - Next stagger slot if a request is waiting for it
    */
-  async processDownloadQueue() {
+  processDownloadQueue(now) {
     const config = this.queues.download;
-    if (config.queue.length === 0) return;
-    if (config.activeCount >= config.maxConcurrent) return;
+    if (config.queue.length === 0) return null;
+    if (config.activeCount >= config.maxConcurrent) return null;
 
-    const now = Date.now();
-    if (now - config.lastStart < config.staggerMs) return;
+    const nextSlot = config.lastStart + config.staggerMs;
+    if (now < nextSlot) return nextSlot;
+    if (!this.acquireBreakerPass()) return null;
+
+    // Global limit reached: the manager wakes us when a slot is released
+    if (this.manager && !this.manager.tryAcquireDownloadSlot(this)) {
+      this.breaker.probing = false;
+      return null;
+    }
 
     config.lastStart = now;
     config.activeCount++;
 
     const request = config.queue.shift();
 
-    // Execute without blocking the loop
+    // Execute without blocking the other queues
     this.executeRequest(request, "DOWNLOAD").finally(() => {
       config.activeCount--;
       // Release global slot
       if (this.manager) {
         this.manager.releaseDownloadSlot();
       }
+      this.wake();
     });
+
+    const hasMore =
+      config.queue.length > 0 && config.activeCount < config.maxConcurrent;
+    return hasMore ? now + config.staggerMs : null;
   }
 
   setManager(manager) {
@@ -128,16 +402,6 @@ class SubsRoRateLimiter {
   async executeRequest(request, queueName) {
     const { url, options, resolve, reject, retries } = request;
 
-    // Check global limit for downloads
-    if (queueName === "DOWNLOAD" && this.manager) {
-      if (!this.manager.tryAcquireDownloadSlot()) {
-        // Global limit reached, put back in front of queue
-        this.queues.download.queue.unshift(request);
-        this.queues.download.activeCount--; // Revert active count since we didn't start
-        return;
-      }
-    }
-
     // Only log errors in production to keep logs clean
     const keyPrefix = this.apiKey.slice(0, 8);
     // const logPrefix = `[${ts()}] [${keyPrefix}] [${queueName}]`; // Disabled for prod performance
@@ -149,8 +413,12 @@ class SubsRoRateLimiter {
         maxContentLength: 10 * 1024 * 1024,
       });
 
+      this.recordSuccess();
       resolve(response.data);
     } catch (error) {
+      // Only 401/429 decide the outcome of a half-open probe
+      this.breaker.probing = false;
+
       const status = error.response?.status;
       const body = error.response?.data;
       const retryAfter = error.response?.headers?.["retry-after"];
@@ -173,22 +441,35 @@ class SubsRoRateLimiter {
           this.queues.search.queue.unshift(request);
         } else {
           this.queues.download.queue.unshift(request);
-          // Release slot if we are retrying later
-          if (queueName === "DOWNLOAD" && this.manager) {
-            this.manager.releaseDownloadSlot();
-          }
         }
         return;
       }
 
       if (status === 429) {
+        const delay = parseRetryAfter(retryAfter);
         console.error(
           `${logPrefix} [429 RATE LIMITED] Retry-After: ${
             retryAfter || "not specified"
-          }`,
+          } (pausing ${Math.round(delay / 1000)}s)`,
         );
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        this.recordRejection(delay);
+
+        // Requeue unless the breaker just failed everything
+        const rateLimitRetries = request.rateLimitRetries || 0;
+        if (
+          this.breaker.state !== BREAKER_STATE.OPEN &&
+          rateLimitRetries < MAX_RATE_LIMIT_RETRIES
+        ) {
+          request.rateLimitRetries = rateLimitRetries + 1;
+          const queue =
+            queueName === "SEARCH" ? this.queues.search : this.queues.download;
+          queue.queue.unshift(request);
+          return;
+        }
       } else if (status === 401) {
         console.error(`${logPrefix} [401 UNAUTHORIZED] Invalid API key`);
+        this.recordRejection();
       } else if (isTransient) {
         console.error(
           `${logPrefix} [${error.code}] ${error.message} (retries exhausted)`,
@@ -208,17 +489,27 @@ class SubsRoRateLimiter {
   }
 
   getQueueStatus() {
+    const now = Date.now();
+    const { breaker } = this;
     return {
       search: this.queues.search.queue.length,
       download: this.queues.download.queue.length,
       activeDownloads: this.queues.download.activeCount,
+      pausedMs: Math.max(this.pausedUntil - now, 0),
+      circuit: breaker.state,
+      consecutiveRejections: breaker.failures,
+      circuitRetryMs:
+        breaker.state === BREAKER_STATE.OPEN
+          ? Math.max(breaker.openedUntil - now, 0)
+          : 0,
     };
   }
 }
 
 /**
- * Manager for per-user rate limiters with CENTRALIZED TICK LOOP.
- * Replaces 1000s of timers with a single master loop.
+ * Manager for per-user rate limiters with a CENTRAL EVENT-DRIVEN SCHEDULER.
+ * Limiters with work are pumped on demand; a single timer (armed only while
+ * some limiter waits for a pacing slot) fires at the earliest such slot.
  */
 class RateLimiterManager {
   constructor() {
@@ -230,30 +521,84 @@ class RateLimiterManager {
     this.globalActiveDownloads = 0;
     this.MAX_GLOBAL_DOWNLOADS = 500; // Max concurrent sockets server-wide
 
-    // Single master loop for ALL limiters (Every 50ms)
-    // 50ms = 20 ticks/sec, sufficient for 200ms stagger and 1s interval
-    this._masterInterval = setInterval(() => this.tick(), 50);
+    // Scheduler state
+    this.ready = new Set(); // Limiters to pump on the next run
+    this.scheduled = new Map(); // limiter -> timestamp of its next slot
+    this.blocked = new Set(); // Limiters waiting for a global download slot
+    this._runPending = false;
+    this._timer = null;
+    this._timerAt = Infinity;
 
     // Cleanup idle limiters every 10 minutes
     setInterval(() => this.cleanup(), 10 * 60 * 1000);
   }
 
   /**
-   * The Master Heartbeat
-   * Iterates all active limiters and processes their queues.
-   * Efficient: Iterating 5000 items in memory takes <1ms.
+   * Queue a limiter for processing (batched into one run per event loop turn)
    */
-  tick() {
-    for (const limiter of this.limiters.values()) {
-      limiter.processTick();
+  wake(limiter) {
+    this.ready.add(limiter);
+    if (this._runPending) return;
+    this._runPending = true;
+    setImmediate(() => this.run());
+  }
+
+  /**
+   * Pump ready limiters and those whose slot has come, then re-arm the timer
+   */
+  run() {
+    this._runPending = false;
+    const now = Date.now();
+
+    for (const [limiter, time] of this.scheduled) {
+      if (time <= now) this.ready.add(limiter);
+    }
+
+    const ready = [...this.ready];
+    this.ready.clear();
+    for (const limiter of ready) {
+      const next = limiter.pump();
+      if (next === null) this.scheduled.delete(limiter);
+      else this.scheduled.set(limiter, next);
     }
+
+    this.armTimer();
   }
 
-  tryAcquireDownloadSlot() {
+  /**
+   * Keep one timer for the earliest scheduled slot (none when idle)
+   */
+  armTimer() {
+    let earliest = Infinity;
+    for (const time of this.scheduled.values()) {
+      if (time < earliest) earliest = time;
+    }
+
+    if (earliest === this._timerAt) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._timerAt = earliest;
+    if (earliest === Infinity) return;
+
+    this._timer = setTimeout(
+      () => {
+        this._timer = null;
+        this._timerAt = Infinity;
+        this.run();
+      },
+      Math.max(earliest - Date.now(), 0),
+    );
+  }
+
+  /**
+   * @param {SubsRoRateLimiter} limiter - Woken up when a slot is released
+   */
+  tryAcquireDownloadSlot(limiter) {
     if (this.globalActiveDownloads < this.MAX_GLOBAL_DOWNLOADS) {
       this.globalActiveDownloads++;
       return true;
     }
+    if (limiter) this.blocked.add(limiter);
     return false;
   }
 
@@ -261,6 +606,8 @@ class RateLimiterManager {
     if (this.globalActiveDownloads > 0) {
       this.globalActiveDownloads--;
     }
+    for (const limiter of this.blocked) this.wake(limiter);
+    this.blocked.clear();
   }
 
   /**
@@ -357,6 +704,9 @@ class RateLimiterManager {
     return {
       activeLimiters: this.limiters.size,
       maxLimiters: this.maxLimiters,
+      scheduledLimiters: this.scheduled.size,
+      blockedLimiters: this.blocked.size,
+      globalActiveDownloads: this.globalActiveDownloads,
     };
   }
 }
@@ -368,6 +718,8 @@ const limiterManager = new RateLimiterManager();
 const getLimiter = (apiKey) => limiterManager.getLimiter(apiKey);
 
 module.exports = {
+  PRIORITY,
+  createCancelError,
   SubsRoRateLimiter,
   RateLimiterManager,
   limiterManager,
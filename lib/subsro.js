@@ -1,4 +1,58 @@
-const { getLimiter } = require("./rateLimiter");
+const { getLimiter, PRIORITY } = require("./rateLimiter");
+const { Cache } = require("./cache");
+
+// Remaining quota per API key, shared by all client instances
+// apiKey -> { remaining (null if unknown), checkedAt }
+const QUOTA = new Cache({
+  name: "quota",
+  maxBytes: 1024 * 1024,
+  sizeOf: () => 128,
+});
+const QUOTA_REFRESH_MS = 10 * 60 * 1000; // 10 minutes
+const QUOTA_REFRESHING = new Set(); // Keys with a /quota call in flight
+
+// Below these the addon degrades on its own (see getQuotaMode)
+const LOW_QUOTA = parseInt(process.env.LOW_QUOTA_THRESHOLD, 10) || 50;
+const CRITICAL_QUOTA = parseInt(process.env.CRITICAL_QUOTA_THRESHOLD, 10) || 5;
+
+// Search results per imdbId, shared by all API keys (they don't depend on
+// the key). Past the fresh window an entry is still served while a
+// background request refreshes it, until it expires from the cache.
+// imdbId -> { items, fetchedAt }
+const SEARCH_CACHE = new Cache({
+  name: "search",
+  maxBytes: 16 * 1024 * 1024,
+  ttl: 24 * 60 * 60 * 1000, // 24 hours
+});
+const SEARCH_FRESH_MS = 15 * 60 * 1000;
+const EMPTY_SEARCH_FRESH_MS = 60 * 1000; // New uploads show up quickly
+const SEARCH_IN_FLIGHT = new Map(); // imdbId -> { apiKey, promise }
+
+const QUOTA_MODE = {
+  NORMAL: "normal",
+  LOW: "low", // Lazy listing, no background downloads
+  CRITICAL: "critical", // Cache-only listing
+};
+
+/**
+ * Count a quota-consuming request (archive download) against the last known
+ * remaining quota, until the next refresh corrects it
+ */
+function recordQuotaUse(apiKey) {
+  const state = QUOTA.get(apiKey);
+  if (state && state.remaining > 0) {
+    QUOTA.set(apiKey, { ...state, remaining: state.remaining - 1 });
+  }
+}
+
+/**
+ * Whether subs.ro has accepted this key (a quota call succeeded since
+ * startup), for endpoints that don't call the API themselves
+ */
+function isKnownKey(apiKey) {
+  const state = QUOTA.get(apiKey);
+  return Boolean(state && typeof state.remaining === "number");
+}
 
 class SubsRoClient {
   constructor(apiKey) {
@@ -6,38 +60,140 @@ class SubsRoClient {
     this.baseUrl = "https://api.subs.ro/v1.0/";
   }
 
+  /**
+   * Search by IMDb id (shared cache, stale-while-revalidate)
+   * @returns {Promise<Object[]>} - subs.ro items ([] on error)
+   */
   async searchByImdb(imdbId) {
-    try {
-      const url = `${this.baseUrl}/search/imdbid/${imdbId}`;
-      const limiter = getLimiter(this.apiKey);
-
-      const data = await limiter.searchRequest(url, {
-        headers: { "X-Subs-Api-Key": this.apiKey },
-      });
-
-      if (data && Array.isArray(data.items)) {
-        return data.items;
+    const cached = SEARCH_CACHE.get(imdbId);
+    if (cached) {
+      const freshFor =
+        cached.items.length > 0 ? SEARCH_FRESH_MS : EMPTY_SEARCH_FRESH_MS;
+      if (Date.now() - cached.fetchedAt > freshFor) {
+        // Stale: answer now, refresh for the next request
+        this.loadSearch(imdbId).catch(() => {});
       }
-      return [];
+      return cached.items;
+    }
+
+    try {
+      return await this.loadSearch(imdbId);
     } catch (error) {
       // Errors are already logged explicitly by RateLimiter
       return [];
     }
   }
 
+  /**
+   * Request a search, sharing a request already in flight for the imdbId
+   */
+  async loadSearch(imdbId) {
+    const inFlight = SEARCH_IN_FLIGHT.get(imdbId);
+    if (inFlight) {
+      try {
+        return await inFlight.promise;
+      } catch (error) {
+        // The failure may be specific to the other user's key (quota, auth)
+        if (inFlight.apiKey === this.apiKey) throw error;
+      }
+    }
+
+    const promise = this.requestSearch(imdbId).finally(() => {
+      if (SEARCH_IN_FLIGHT.get(imdbId)?.promise === promise) {
+        SEARCH_IN_FLIGHT.delete(imdbId);
+      }
+    });
+    SEARCH_IN_FLIGHT.set(imdbId, { apiKey: this.apiKey, promise });
+    return promise;
+  }
+
+  async requestSearch(imdbId) {
+    const url = `${this.baseUrl}/search/imdbid/${imdbId}`;
+    const limiter = getLimiter(this.apiKey);
+
+    const data = await limiter.searchRequest(url, {
+      headers: { "X-Subs-Api-Key": this.apiKey },
+    });
+
+    const items = data && Array.isArray(data.items) ? data.items : [];
+    SEARCH_CACHE.set(imdbId, { items, fetchedAt: Date.now() });
+    return items;
+  }
+
+  /**
+   * Fetch and store the key's remaining quota
+   * @param {Object} [options]
+   * @param {boolean} [options.background] - Queue it behind the key's
+   *   searches (refresh on the request path, must not delay that search)
+   * @returns {Promise<{ remaining: number, checkedAt: number }>}
+   */
+  async fetchQuota({ background = false } = {}) {
+    const url = `${this.baseUrl}/quota`;
+    const limiter = getLimiter(this.apiKey);
+
+    const data = await limiter.searchRequest(url, {
+      headers: { "X-Subs-Api-Key": this.apiKey },
+      priority: background ? PRIORITY.PREFETCH : PRIORITY.INTERACTIVE,
+    });
+    const remaining = data?.quota?.remaining_quota;
+    if (typeof remaining !== "number") {
+      throw new Error("Unexpected quota response");
+    }
+
+    const state = { remaining, checkedAt: Date.now() };
+    QUOTA.set(this.apiKey, state);
+    return state;
+  }
+
+  /**
+   * @returns {Promise<{ valid: boolean, remainingQuota: number|null }>}
+   */
   async validate() {
     try {
-      const url = `${this.baseUrl}/quota`;
-      const limiter = getLimiter(this.apiKey);
-
-      const data = await limiter.searchRequest(url, {
-        headers: { "X-Subs-Api-Key": this.apiKey },
-      });
-      return data?.quota?.remaining_quota >= 0;
+      const { remaining } = await this.fetchQuota();
+      return { valid: remaining >= 0, remainingQuota: remaining };
     } catch (error) {
-      return false;
+      return { valid: false, remainingQuota: null };
+    }
+  }
+
+  /**
+   * How much the addon should hold back for this key, from the last known
+   * quota (unknown counts as normal). Refreshes a stale quota in the
+   * background, so this never waits on the API.
+   * @returns {string} - QUOTA_MODE value
+   */
+  getQuotaMode() {
+    const state = QUOTA.get(this.apiKey);
+    if (!state || Date.now() - state.checkedAt > QUOTA_REFRESH_MS) {
+      this.refreshQuota();
     }
+
+    if (!state || state.remaining === null) return QUOTA_MODE.NORMAL;
+    if (state.remaining <= CRITICAL_QUOTA) return QUOTA_MODE.CRITICAL;
+    if (state.remaining <= LOW_QUOTA) return QUOTA_MODE.LOW;
+    return QUOTA_MODE.NORMAL;
+  }
+
+  refreshQuota() {
+    if (QUOTA_REFRESHING.has(this.apiKey)) return;
+    QUOTA_REFRESHING.add(this.apiKey);
+
+    this.fetchQuota({ background: true })
+      .catch(() => {
+        // Errors are already logged by RateLimiter; keep the last known
+        // value and wait a full refresh period before trying again
+        const previous = QUOTA.get(this.apiKey);
+        QUOTA.set(this.apiKey, {
+          remaining: previous ? previous.remaining : null,
+          checkedAt: Date.now(),
+        });
+      })
+      .finally(() => QUOTA_REFRESHING.delete(this.apiKey));
   }
 }
 
 module.exports = SubsRoClient;
+module.exports.QUOTA_MODE = QUOTA_MODE;
+module.exports.recordQuotaUse = recordQuotaUse;
+module.exports.isKnownKey = isKnownKey;
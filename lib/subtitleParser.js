@@ -0,0 +1,720 @@
+/**
+ * Subtitle parsing and WebVTT serialization.
+ *
+ * Every supported input format is parsed into a common cue model:
+ *   { start, end, text, settings }
+ * - start/end: milliseconds
+ * - text: cue payload using WebVTT inline tags (<i>, <b>, <u>), already escaped
+ * - settings: WebVTT cue settings string (positioning), may be empty
+ */
+
+/**
+ * Format milliseconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ */
+function formatVttTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const h = Math.floor(total / 3600000);
+  const m = Math.floor((total % 3600000) / 60000);
+  const s = Math.floor((total % 60000) / 1000);
+  const msPart = total % 1000;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${String(
+    s,
+  ).padStart(2, "0")}.${String(msPart).padStart(3, "0")}`;
+}
+
+/**
+ * Escape characters that have special meaning in WebVTT cue text
+ */
+function escapeVttText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Serialize cues to a WebVTT document
+ * @param {Array<{start: number, end: number, text: string, settings?: string}>} cues
+ * @returns {string}
+ */
+function cuesToVtt(cues) {
+  const blocks = cues.map((cue) => {
+    const timing = `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}`;
+    const header = cue.settings ? `${timing} ${cue.settings}` : timing;
+    return `${header}\n${cue.text}`;
+  });
+  return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+}
+
+/**
+ * Format milliseconds as an SRT timestamp (HH:MM:SS,mmm)
+ */
+function formatSrtTime(ms) {
+  return formatVttTime(ms).replace(".", ",");
+}
+
+/**
+ * Serialize cues to an SRT document.
+ * Inline <i>/<b>/<u> tags are kept (SRT players support them), entities are
+ * decoded and positioning is written back as an {\anN} tag.
+ * @param {Array<{start: number, end: number, text: string, settings?: string}>} cues
+ * @returns {string}
+ */
+function cuesToSrt(cues) {
+  const blocks = cues.map((cue, idx) => {
+    const alignment = SETTINGS_TO_ALIGNMENT.get(cue.settings || "");
+    const text = cue.text
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&");
+    return `${idx + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(
+      cue.end,
+    )}\n${alignment ? `{\\an${alignment}}` : ""}${text}`;
+  });
+  return `${blocks.join("\n\n")}\n`;
+}
+
+// --- ASS / SSA ---
+
+const DEFAULT_EVENT_FORMAT = [
+  "layer",
+  "start",
+  "end",
+  "style",
+  "name",
+  "marginl",
+  "marginr",
+  "marginv",
+  "effect",
+  "text",
+];
+
+// Legacy SSA {\aN} alignment -> numpad (ASS {\anN}) alignment
+const LEGACY_ALIGNMENT = {
+  1: 1,
+  2: 2,
+  3: 3,
+  5: 7,
+  6: 8,
+  7: 9,
+  9: 4,
+  10: 5,
+  11: 6,
+};
+
+/**
+ * Parse an ASS timestamp (H:MM:SS.cc) into milliseconds
+ */
+function parseAssTime(value) {
+  const match = /^\s*(\d+):(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?\s*$/.exec(
+    value || "",
+  );
+  if (!match) return null;
+  const fraction = (match[4] || "0").padEnd(3, "0");
+  return (
+    parseInt(match[1], 10) * 3600000 +
+    parseInt(match[2], 10) * 60000 +
+    parseInt(match[3], 10) * 1000 +
+    parseInt(fraction, 10)
+  );
+}
+
+/**
+ * Split a "Key: v1,v2,..." line into at most `count` fields
+ * (the last field keeps any remaining commas, as the Text field does)
+ */
+function splitFields(value, count) {
+  const parts = value.split(",");
+  if (parts.length <= count) return parts.map((p) => p.trim());
+  const head = parts.slice(0, count - 1).map((p) => p.trim());
+  return [...head, parts.slice(count - 1).join(",")];
+}
+
+/**
+ * Map a numpad alignment (1-9) to WebVTT cue settings.
+ * 1-3 bottom (default), 4-6 middle, 7-9 top; columns left/center/right.
+ */
+function alignmentToSettings(alignment) {
+  if (!alignment || alignment < 1 || alignment > 9) return "";
+  const settings = [];
+  if (alignment >= 7) settings.push("line:10%");
+  else if (alignment >= 4) settings.push("line:50%");
+
+  const column = (alignment - 1) % 3;
+  if (column === 0) settings.push("position:10%", "align:start");
+  else if (column === 2) settings.push("position:90%", "align:end");
+  return settings.join(" ");
+}
+
+// Reverse lookup used when writing positioned cues back to SRT
+const SETTINGS_TO_ALIGNMENT = new Map(
+  [1, 3, 4, 5, 6, 7, 8, 9].map((n) => [alignmentToSettings(n), n]),
+);
+
+/**
+ * Render styled segments into WebVTT cue text.
+ * Each segment is wrapped independently so tags are always well nested, and
+ * whitespace at its edges (line breaks) stays outside the tags, so a tag left
+ * open at a line end doesn't leave a line holding only its closing tag.
+ */
+function renderSegments(segments) {
+  const merged = [];
+  for (const seg of segments) {
+    const last = merged[merged.length - 1];
+    if (last && last.b === seg.b && last.i === seg.i && last.u === seg.u) {
+      last.text += seg.text;
+    } else {
+      merged.push({ ...seg });
+    }
+  }
+
+  return merged
+    .map((seg) => {
+      const [, lead, body, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(
+        escapeVttText(seg.text),
+      );
+      if (!body) return lead;
+      let out = body;
+      if (seg.u) out = `<u>${out}</u>`;
+      if (seg.i) out = `<i>${out}</i>`;
+      if (seg.b) out = `<b>${out}</b>`;
+      return lead + out + trail;
+    })
+    .join("");
+}
+
+/**
+ * Convert an ASS Dialogue text field into cue text + alignment.
+ * Handles \i, \b, \u, \r, \an, \a, \p (drawings are dropped), \N, \n and \h.
+ */
+function parseAssText(raw, style) {
+  const base = {
+    b: style ? style.bold : false,
+    i: style ? style.italic : false,
+    u: style ? style.underline : false,
+  };
+  let state = { ...base };
+  let alignment = style ? style.alignment : 2;
+  let drawing = false;
+  const segments = [];
+
+  const tokens = raw.split(/(\{[^}]*\})/);
+  for (const token of tokens) {
+    if (!token) continue;
+
+    if (token.startsWith("{") && token.endsWith("}")) {
+      const tags = token.slice(1, -1).split("\\").slice(1);
+      for (const tag of tags) {
+        let m;
+        if ((m = /^an([1-9])/.exec(tag))) {
+          alignment = parseInt(m[1], 10);
+        } else if ((m = /^a(\d{1,2})$/.exec(tag))) {
+          alignment = LEGACY_ALIGNMENT[parseInt(m[1], 10)] || alignment;
+        } else if ((m = /^i([01])$/.exec(tag))) {
+          state = { ...state, i: m[1] === "1" };
+        } else if ((m = /^b(\d+)$/.exec(tag))) {
+          const weight = parseInt(m[1], 10);
+          state = { ...state, b: weight === 1 || weight >= 700 };
+        } else if ((m = /^u([01])$/.exec(tag))) {
+          state = { ...state, u: m[1] === "1" };
+        } else if (/^r/.test(tag)) {
+          state = { ...base };
+        } else if ((m = /^p(\d+)$/.exec(tag))) {
+          drawing = parseInt(m[1], 10) > 0;
+        }
+      }
+      continue;
+    }
+
+    if (drawing) continue;
+
+    const text = token
+      .replace(/\\N/g, "\n")
+      .replace(/\\n/g, " ")
+      .replace(/\\h/g, "\u00A0");
+    segments.push({ ...state, text });
+  }
+
+  const text = renderSegments(segments)
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+
+  return { text, alignment };
+}
+
+/**
+ * Parse an ASS/SSA script into cues
+ * @param {string} content - Decoded script content
+ * @returns {Array<{start: number, end: number, text: string, settings: string}>}
+ */
+function parseAss(content) {
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const styles = new Map();
+  const cues = [];
+
+  let section = "";
+  let isLegacy = false;
+  let styleFormat = null;
+  let eventFormat = DEFAULT_EVENT_FORMAT;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(";")) continue;
+
+    const sectionMatch = /^\[(.+)\]$/.exec(line);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      if (section === "v4 styles") isLegacy = true;
+      continue;
+    }
+
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1);
+
+    if (section.endsWith("styles")) {
+      if (key === "format") {
+        styleFormat = value.split(",").map((f) => f.trim().toLowerCase());
+      } else if (key === "style" && styleFormat) {
+        const fields = splitFields(value, styleFormat.length);
+        const get = (name) => fields[styleFormat.indexOf(name)];
+        const isOn = (v) => v !== undefined && v !== "0" && v !== "";
+        const alignment = parseInt(get("alignment"), 10);
+        styles.set((get("name") || "").toLowerCase(), {
+          bold: isOn(get("bold")),
+          italic: isOn(get("italic")),
+          underline: isOn(get("underline")),
+          // Legacy SSA styles store alignment in the old numbering
+          alignment: isLegacy
+            ? LEGACY_ALIGNMENT[alignment] || 2
+            : alignment || 2,
+        });
+      }
+    } else if (section === "events") {
+      if (key === "format") {
+        eventFormat = value.split(",").map((f) => f.trim().toLowerCase());
+      } else if (key === "dialogue") {
+        const fields = splitFields(value, eventFormat.length);
+        const get = (name) => fields[eventFormat.indexOf(name)];
+
+        const start = parseAssTime(get("start"));
+        const end = parseAssTime(get("end"));
+        if (start === null || end === null) continue;
+
+        const styleName = (get("style") || "").replace(/^\*/, "").toLowerCase();
+        const style = styles.get(styleName) || styles.get("default");
+        const { text, alignment } = parseAssText(get("text") || "", style);
+        if (!text) continue;
+
+        cues.push({
+          start,
+          end,
+          text,
+          settings: alignmentToSettings(alignment),
+        });
+      }
+    }
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// --- MicroDVD / SubViewer ---
+
+const DEFAULT_FPS = 23.976;
+const DEFAULT_CUE_DURATION = 3000; // Used when a MicroDVD cue has no end frame
+
+/**
+ * Check that a frame rate is usable for frame -> time conversion
+ */
+function isValidFps(fps) {
+  return (
+    typeof fps === "number" && Number.isFinite(fps) && fps >= 10 && fps <= 120
+  );
+}
+
+/**
+ * Apply MicroDVD control codes ({y:i}, {y:b}, {y:u}) to a single line.
+ * Other control codes (colour, font, size, position) are dropped.
+ */
+function renderMicroDvdLine(line, cueStyle) {
+  const style = { ...cueStyle };
+  let text = line.replace(/\{([a-zA-Z]):([^}]*)\}/g, (match, code, value) => {
+    if (code.toLowerCase() === "y") {
+      const flags = value.toLowerCase();
+      if (flags.includes("i")) style.i = true;
+      if (flags.includes("b")) style.b = true;
+      if (flags.includes("u")) style.u = true;
+    }
+    return "";
+  });
+
+  // MPL2-style italic marker
+  if (text.startsWith("/")) {
+    style.i = true;
+    text = text.slice(1);
+  }
+
+  return renderSegments([{ ...style, text: text.trim() }]);
+}
+
+/**
+ * Parse a MicroDVD ({start}{end}text) file into cues.
+ * A leading {1}{1}25.000 line overrides the supplied frame rate.
+ * @param {string} content - Decoded file content
+ * @param {number} [fps] - Video frame rate used when the file has no header
+ * @returns {Array<{start: number, end: number, text: string, settings: string}>}
+ */
+function parseMicroDvd(content, fps) {
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+  let frameRate = isValidFps(fps) ? fps : DEFAULT_FPS;
+  const cues = [];
+
+  for (const rawLine of lines) {
+    const match = /^\s*\{(\d+)\}\{(\d*)\}(.*)$/.exec(rawLine);
+    if (!match) continue;
+
+    const startFrame = parseInt(match[1], 10);
+    const endFrame = match[2] ? parseInt(match[2], 10) : null;
+    const body = match[3].trim();
+
+    // Frame rate header: {1}{1}23.976
+    if (
+      cues.length === 0 &&
+      startFrame <= 1 &&
+      (endFrame === null || endFrame <= 1)
+    ) {
+      const headerFps = parseFloat(body.replace(",", "."));
+      if (/^\d+(?:[.,]\d+)?$/.test(body) && isValidFps(headerFps)) {
+        frameRate = headerFps;
+        continue;
+      }
+    }
+
+    // Uppercase codes apply to the whole cue, lowercase ones to a single line
+    const cueStyle = { b: false, i: false, u: false };
+    const text = body
+      .replace(/\{Y:([^}]*)\}/g, (m, value) => {
+        const flags = value.toLowerCase();
+        if (flags.includes("i")) cueStyle.i = true;
+        if (flags.includes("b")) cueStyle.b = true;
+        if (flags.includes("u")) cueStyle.u = true;
+        return "";
+      })
+      .split("|")
+      .map((line) => renderMicroDvdLine(line, cueStyle))
+      .filter(Boolean)
+      .join("\n");
+    if (!text) continue;
+
+    const start = (startFrame / frameRate) * 1000;
+    const end =
+      endFrame !== null
+        ? (endFrame / frameRate) * 1000
+        : start + DEFAULT_CUE_DURATION;
+    cues.push({ start, end, text, settings: "" });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a SubViewer 2 file into cues.
+ * Cues are "HH:MM:SS.cc,HH:MM:SS.cc" lines followed by text with [br] breaks.
+ * @param {string} content - Decoded file content
+ * @returns {Array<{start: number, end: number, text: string, settings: string}>}
+ */
+function parseSubViewer(content) {
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const cues = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.lines.length > 0) {
+      const text = current.lines
+        .join("[br]")
+        .split(/\[br\]/i)
+        .map((line) =>
+          renderSegments([{ b: false, i: false, u: false, text: line.trim() }]),
+        )
+        .filter(Boolean)
+        .join("\n");
+      if (text)
+        cues.push({
+          start: current.start,
+          end: current.end,
+          text,
+          settings: "",
+        });
+    }
+    current = null;
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const timing =
+      /^(\d+:\d{1,2}:\d{1,2}[.,]\d{1,3})\s*,\s*(\d+:\d{1,2}:\d{1,2}[.,]\d{1,3})$/.exec(
+        line,
+      );
+
+    if (timing) {
+      flush();
+      const start = parseAssTime(timing[1]);
+      const end = parseAssTime(timing[2]);
+      if (start !== null && end !== null) current = { start, end, lines: [] };
+    } else if (!line) {
+      flush();
+    } else if (current && !/^\[.*\]$/.test(line)) {
+      current.lines.push(line);
+    }
+  }
+  flush();
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// --- SRT ---
+
+// Lenient SRT timestamp: "0:01:02,5", "00:01:02.500", "00:01:02:500"
+const SRT_TIME = "(\\d+):(\\d{1,2}):(\\d{1,2})(?:[,.:](\\d{1,3}))?";
+const SRT_TIMING_REGEX = new RegExp(
+  `^\\s*${SRT_TIME}\\s*-+>\\s*${SRT_TIME}(?:\\s.*)?$`,
+);
+
+/**
+ * Convert SRT time regex groups (h, m, s, fraction) into milliseconds
+ */
+function srtTimeToMs(h, m, s, fraction) {
+  return (
+    parseInt(h, 10) * 3600000 +
+    parseInt(m, 10) * 60000 +
+    parseInt(s, 10) * 1000 +
+    parseInt((fraction || "0").padEnd(3, "0"), 10)
+  );
+}
+
+/**
+ * Convert SRT cue text to WebVTT cue text.
+ * Keeps <i>, <b>, <u> (and their {\i1}-style ASS equivalents), turns {\anN}
+ * into cue settings and drops everything else (<font>, unknown tags).
+ */
+function parseSrtText(raw) {
+  let state = { b: false, i: false, u: false };
+  let alignment = 0;
+  const segments = [];
+
+  const tokens = raw.split(/(<\/?[a-zA-Z][^>]*>|\{\\[^}]*\})/);
+  for (const token of tokens) {
+    if (!token) continue;
+
+    const htmlTag = /^<(\/?)([a-zA-Z]+)/.exec(token);
+    if (htmlTag && token.endsWith(">")) {
+      const name = htmlTag[2].toLowerCase();
+      if (name === "i" || name === "b" || name === "u") {
+        state = { ...state, [name]: htmlTag[1] !== "/" };
+      }
+      continue;
+    }
+
+    if (token.startsWith("{\\") && token.endsWith("}")) {
+      for (const tag of token.slice(1, -1).split("\\").slice(1)) {
+        let m;
+        if ((m = /^an([1-9])/.exec(tag))) alignment = parseInt(m[1], 10);
+        else if ((m = /^([ibu])([01])$/.exec(tag))) {
+          state = { ...state, [m[1]]: m[2] === "1" };
+        }
+      }
+      continue;
+    }
+
+    segments.push({ ...state, text: token });
+  }
+
+  const text = renderSegments(segments)
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+
+  return { text, settings: alignmentToSettings(alignment) };
+}
+
+/**
+ * Parse an SRT file into cues.
+ * Cues are split on timing lines rather than blank lines, so files with
+ * missing separators still parse; cue numbers are dropped.
+ * @param {string} content - Decoded file content
+ * @returns {Array<{start: number, end: number, text: string, settings: string}>}
+ */
+function parseSrt(content) {
+  const lines = content.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+  const blocks = [];
+  let current = null;
+
+  for (const line of lines) {
+    const timing = SRT_TIMING_REGEX.exec(line);
+    if (!timing) {
+      if (current) current.lines.push(line);
+      continue;
+    }
+
+    // A bare number after a blank line, right before a timing line, is the
+    // next cue's index (without the blank line it's the cue's last line)
+    if (current) {
+      const previous = current.lines;
+      while (previous.length && !previous.at(-1).trim()) previous.pop();
+      if (
+        previous.length >= 2 &&
+        /^\s*\d+\s*$/.test(previous.at(-1)) &&
+        !previous.at(-2).trim()
+      ) {
+        previous.pop();
+      }
+    }
+
+    current = {
+      start: srtTimeToMs(timing[1], timing[2], timing[3], timing[4]),
+      end: srtTimeToMs(timing[5], timing[6], timing[7], timing[8]),
+      lines: [],
+    };
+    blocks.push(current);
+  }
+
+  const cues = [];
+  for (const block of blocks) {
+    const { text, settings } = parseSrtText(block.lines.join("\n"));
+    if (text) cues.push({ start: block.start, end: block.end, text, settings });
+  }
+  return cues;
+}
+
+// --- Repair ---
+
+/**
+ * Fix cue timing problems that break players:
+ * - cues out of order are sorted by start time
+ * - zero/negative durations are extended (up to the next cue)
+ * - a cue running into the next one at the same position is cut short
+ *   (cues starting together are left alone, e.g. two speakers)
+ * @param {Array<{start: number, end: number, text: string, settings: string}>} cues
+ * @returns {{ cues: Array, repaired: number }} - Fixed cues and how many were changed
+ */
+function repairCues(cues) {
+  const sorted = cues
+    .filter((cue) => Number.isFinite(cue.start) && Number.isFinite(cue.end))
+    .map((cue) => ({ ...cue }))
+    .sort((a, b) => a.start - b.start);
+  let repaired = 0;
+
+  for (let idx = 0; idx < sorted.length; idx++) {
+    const cue = sorted[idx];
+    const next = sorted[idx + 1];
+    const gap = next ? next.start - cue.start : Infinity;
+
+    if (cue.end <= cue.start) {
+      cue.end =
+        cue.start +
+        (gap > 0 ? Math.min(DEFAULT_CUE_DURATION, gap) : DEFAULT_CUE_DURATION);
+      repaired++;
+    } else if (
+      next &&
+      gap > 0 &&
+      cue.end > next.start &&
+      (cue.settings || "") === (next.settings || "")
+    ) {
+      cue.end = next.start;
+      repaired++;
+    }
+  }
+
+  return { cues: sorted, repaired };
+}
+
+// --- Resync ---
+
+const MAX_OFFSET_MS = 10 * 60 * 1000; // 10 minutes either way
+
+/**
+ * Shift and/or rescale cue timings.
+ * Frame rate conversion maps a subtitle timed for `sourceFps` onto a video
+ * running at `targetFps` (e.g. 25 -> 23.976 for PAL-era subtitles).
+ * Cues pushed entirely before 0 are dropped, partially negative ones clamped.
+ * @param {Array} cues - Parsed cues
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Milliseconds to add to every timestamp
+ * @param {number} [options.sourceFps] - Frame rate the subtitle was timed for
+ * @param {number} [options.targetFps] - Frame rate of the video
+ * @returns {Array} - Retimed cues
+ */
+function retimeCues(cues, { offset = 0, sourceFps, targetFps } = {}) {
+  const scale =
+    isValidFps(sourceFps) && isValidFps(targetFps) ? sourceFps / targetFps : 1;
+  if (scale === 1 && !offset) return cues;
+
+  return cues
+    .map((cue) => ({
+      ...cue,
+      start: Math.max(0, cue.start * scale + offset),
+      end: cue.end * scale + offset,
+    }))
+    .filter((cue) => cue.end > 0);
+}
+
+// --- Format dispatch ---
+
+/**
+ * Detect the subtitle format from the file name and content
+ * @param {string} content - Decoded file content
+ * @param {string} filename - File name (used for the extension)
+ * @returns {"ass"|"microdvd"|"subviewer"|"srt"}
+ */
+function detectFormat(content, filename = "") {
+  const ext = filename.toLowerCase().split(".").pop();
+  if (ext === "ass" || ext === "ssa") return "ass";
+
+  const head = content.replace(/^\uFEFF/, "").slice(0, 4096);
+  if (/^\s*\[Script Info\]/i.test(head)) return "ass";
+  if (/^\s*\{\d+\}\{\d*\}/m.test(head)) return "microdvd";
+  if (/^\s*\d+:\d{2}:\d{2}\.\d{2},\d+:\d{2}:\d{2}\.\d{2}\s*$/m.test(head)) {
+    return "subviewer";
+  }
+  return "srt";
+}
+
+/**
+ * Parse decoded subtitle content of any supported format into repaired cues
+ * @param {string} content - Decoded file content
+ * @param {string} filename - File name inside the archive
+ * @param {Object} [options]
+ * @param {number} [options.fps] - Video frame rate for frame-based formats
+ * @returns {{ format: string, cues: Array, repaired: number }}
+ */
+function parseSubtitle(content, filename, options = {}) {
+  const format = detectFormat(content, filename);
+  let cues;
+  if (format === "ass") cues = parseAss(content);
+  else if (format === "microdvd") cues = parseMicroDvd(content, options.fps);
+  else if (format === "subviewer") cues = parseSubViewer(content);
+  else cues = parseSrt(content);
+
+  return { format, ...repairCues(cues) };
+}
+
+module.exports = {
+  DEFAULT_FPS,
+  MAX_OFFSET_MS,
+  isValidFps,
+  parseAss,
+  parseMicroDvd,
+  parseSubViewer,
+  parseSrt,
+  repairCues,
+  retimeCues,
+  cuesToVtt,
+  cuesToSrt,
+  detectFormat,
+  parseSubtitle,
+};
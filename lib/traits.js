@@ -0,0 +1,119 @@
+/**
+ * Subtitle trait detection: hearing-impaired (HI/SDH) and forced files.
+ *
+ * - From the file name: ".sdh", ".hi", "forced", "foreign parts"
+ * - From the content (when the file is at hand):
+ *   HI: a high share of cues with sound descriptions ("[door slams]",
+ *   "(laughs)", "♪") or speaker labels ("JOHN: ...")
+ *   forced: very few cues for the running time (only foreign dialogue and
+ *   signs are translated)
+ *
+ * SDH is hearing-impaired plus speaker identification, so both are one kind.
+ */
+
+const { parseSubtitle } = require("./subtitleParser");
+const { detectEncoding } = require("./encoding");
+
+const TRAIT = {
+  HI: "hi",
+  FORCED: "forced",
+};
+
+// What the user wants done with each kind (config.traits)
+const TRAIT_PREFERENCE = {
+  PREFER: "prefer",
+  DEMOTE: "demote",
+  HIDE: "hide",
+};
+
+const SDH_NAME_REGEX =
+  /(?<![a-z0-9])(?:sdh|hearing[ ._-]?impaired)(?![a-z0-9])/i;
+// "hi" only as a trailing tag, it's a word in titles too: dotted right
+// before the extension or a language code ("Movie.hi.srt", "Movie.HI.ro.srt";
+// case-sensitive so "Say.Hi.srt" stays a title) or bracketed ("Movie [HI]")
+const HI_TAG_REGEX = /\.(?:hi|HI)(?:\.[a-zA-Z]{2,3})?\.[a-zA-Z0-9]{2,4}$/;
+const HI_BRACKET_REGEX = /[[(]hi[\])](?:\.[a-z]{2,3})?(?:\.[a-z0-9]{2,4})?$/i;
+const FORCED_NAME_REGEX =
+  /(?<![a-z0-9])(?:forced|foreign[ ._-]?parts?)(?![a-z0-9])/i;
+
+const SOUND_DESCRIPTION_REGEX =
+  /\[[^\]]+\]|\([^)]+\)|♪|^[A-Z][A-Z .'-]{1,20}:/m;
+const HI_MIN_SHARE = 0.1; // Of all cues
+const HI_MIN_CUES = 5;
+// Full subtitles run at ~10 cues per minute; forced ones at a fraction
+const FORCED_MAX_CUES_PER_MINUTE = 2;
+const FORCED_MIN_SPAN_MS = 5 * 60 * 1000; // Don't judge short files
+
+/**
+ * Detect traits from a file name (or upload title)
+ * @returns {string[]} - TRAIT values
+ */
+function detectNameTraits(filename) {
+  if (!filename) return [];
+  const name = filename.split(/[\\/]/).pop();
+  const traits = [];
+  if (
+    SDH_NAME_REGEX.test(filename) ||
+    HI_TAG_REGEX.test(name) ||
+    HI_BRACKET_REGEX.test(name)
+  ) {
+    traits.push(TRAIT.HI);
+  }
+  if (FORCED_NAME_REGEX.test(filename)) traits.push(TRAIT.FORCED);
+  return traits;
+}
+
+/**
+ * Detect traits from decoded subtitle content
+ * @param {string} content - Decoded file content
+ * @param {string} filename - File name (for the format)
+ * @returns {string[]} - TRAIT values
+ */
+function detectContentTraits(content, filename) {
+  const { cues } = parseSubtitle(content, filename);
+  if (cues.length === 0) return [];
+
+  const traits = [];
+  const described = cues.filter((cue) =>
+    SOUND_DESCRIPTION_REGEX.test(cue.text),
+  ).length;
+  if (described >= HI_MIN_CUES && described / cues.length >= HI_MIN_SHARE) {
+    traits.push(TRAIT.HI);
+  }
+
+  const span = cues.at(-1).end - cues[0].start;
+  const perMinute = cues.length / (span / 60000);
+  if (span >= FORCED_MIN_SPAN_MS && perMinute < FORCED_MAX_CUES_PER_MINUTE) {
+    traits.push(TRAIT.FORCED);
+  }
+  return traits;
+}
+
+/**
+ * Detect traits of a subtitle file from its name and raw content
+ * @param {string} filename - Path inside the archive
+ * @param {Buffer|null} buffer - Raw file (null: name only)
+ * @returns {string[]} - TRAIT values
+ */
+function detectTraits(filename, buffer) {
+  const traits = new Set(detectNameTraits(filename));
+  if (buffer) {
+    try {
+      const { text } = detectEncoding(buffer);
+      for (const trait of detectContentTraits(text, filename)) {
+        traits.add(trait);
+      }
+    } catch (error) {
+      // Unparseable content: the name is all we have
+    }
+  }
+  return [...traits];
+}
+
+module.exports = {
+  TRAIT,
+  TRAIT_PREFERENCE,
+  detectNameTraits,
+  detectContentTraits,
+  detectTraits,
+};
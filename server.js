@@ -4,12 +4,14 @@ const path = require("path");
 const querystring = require("querystring");
 const dotenv = require("dotenv");
 
+// Load .env before the modules below read their settings (e.g. DISK_CACHE_DIR)
+dotenv.config();
+
 const helmet = require("helmet");
 const { addonInterface, subtitlesHandler } = require("./addon");
 const SubsRoClient = require("./lib/subsro");
 const proxyRouter = require("./lib/proxy");
-
-dotenv.config();
+const { getCacheStats } = require("./lib/cache");
 
 const app = express();
 const PORT = process.env.PORT || 7000;
@@ -77,8 +79,12 @@ app.get("/:config/manifest.json", manifestHandler);
 app.get("/api/validate/:apiKey", async (req, res) => {
   const { apiKey } = req.params;
   const client = new SubsRoClient(apiKey);
-  const isValid = await client.validate();
-  res.json({ valid: isValid });
+  const { valid, remainingQuota } = await client.validate();
+  res.json({
+    valid,
+    remainingQuota,
+    quotaMode: valid ? client.getQuotaMode() : null,
+  });
 });
 
 // Subtitles
@@ -126,4 +132,22 @@ app.listen(PORT, () => {
   }, RESTART_INTERVAL);
 
   console.log(`[SYSTEM] Scheduled restart in 24 hours.`);
+
+  // Cache counters (Dev only): hit rates and whether the budgets fit
+  if (process.env.NODE_ENV === "development") {
+    const CACHE_STATS_INTERVAL = 5 * 60 * 1000; // 5 minutes
+    setInterval(() => {
+      for (const stats of getCacheStats()) {
+        console.log(
+          `[CACHE] ${stats.name}: ${stats.entries} entries, ${Math.round(
+            stats.bytes / 1024,
+          )}/${Math.round(stats.maxBytes / 1024)} KB, hits ${
+            stats.hits
+          } (disk ${stats.diskHits}), misses ${stats.misses}, evictions ${
+            stats.evictions
+          }, expired ${stats.expired}`,
+        );
+      }
+    }, CACHE_STATS_INTERVAL).unref();
+  }
 });